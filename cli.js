@@ -2,8 +2,13 @@
 
 import { 
   calculatePrice, 
+  calculatePriceDetailed,
   pctToBps, 
   rounders, 
+  resolveStrategy,
+  getSupportedStrategies,
+  listStrategies,
+  priceCatalog,
   createCurrencyStepRounder,
   toSmallestUnit,
   fromSmallestUnit,
@@ -15,14 +20,26 @@ import {
   getCurrencyByNumber,
   getCurrenciesByCountry,
   getISOPublishDate,
-  getCurrencyDetails
+  getCurrencyDetails,
+  repriceCsv,
+  parseMarkup,
+  compileRoundingRule,
+  registerRoundingRule,
+  resolveProfile,
+  listProfiles,
+  loadPricingConfig,
+  toDecimalString,
+  PricingError,
+  PricingValidationError,
+  UnknownCurrencyError
 } from "./src/index.js";
+import { toBigInt } from "./src/core/math.js";
 import readline from "readline";
+import { readFile, writeFile } from "fs/promises";
+import { existsSync } from "fs";
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Created on demand so non-interactive commands don't hold stdin open
+let rl;
 
 function question(prompt) {
   return new Promise((resolve) => {
@@ -36,12 +53,12 @@ function displayMenu() {
   console.log("=".repeat(60));
   console.log("Available options:");
   console.log("1. Single calculation     - Test individual cost/margin/currency");
-  console.log("2. View rounding strategies - See all available rounders");
+  console.log("2. View strategies        - See markup strategies and rounders");
   console.log("3. View currencies        - See supported currencies");
   console.log("4. Currency statistics    - View currency analysis");
   console.log("5. Advanced currency      - ISO numbers, countries, details");
   console.log("6. Batch test             - Test multiple scenarios");
-  console.log("7. Custom rounding        - Test your own rounding logic");
+  console.log("7. Custom rounding        - Test and save a rounding expression");
   console.log("8. Custom currency        - Create and test custom currency");
   console.log("9. Exit                   - Quit the program");
   console.log("=".repeat(60));
@@ -83,6 +100,17 @@ function displayCurrencies() {
   }
 }
 
+function displayStrategies() {
+  console.log("\n📐 Available Markup Strategies:");
+  console.log("-".repeat(70));
+  
+  listStrategies().forEach(({ name, description, formula, markupUnit }) => {
+    console.log(`  ${name.padEnd(15)}: ${description || 'custom strategy'}${formula ? ` (${formula})` : ''} [markup: ${markupUnit}]`);
+  });
+  
+  console.log("\n💡 Register your own with registerStrategy(name, definition)!");
+}
+
 function displayRounders() {
   console.log("\n🎯 Available Rounding Strategies:");
   console.log("-".repeat(50));
@@ -118,20 +146,53 @@ async function singleCalculation() {
     return;
   }
   
-  // Get margin
-  const marginInput = await question("Enter margin percentage (e.g., 30 for 30%): ");
-  const margin = parseFloat(marginInput);
+  // Get strategy
+  const strategyInput = await question(`Enter markup strategy (${getSupportedStrategies().join(', ')}) or press Enter for margin: `);
+  const strategyName = strategyInput.trim() || 'margin';
   
-  if (isNaN(margin) || margin < 0 || margin >= 100) {
-    console.log("❌ Invalid margin. Please enter a number between 0 and 99.99.");
+  let strategy;
+  try {
+    strategy = resolveStrategy(strategyName);
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
     return;
   }
   
-  const marginBps = pctToBps(margin);
-  const costUnits = toSmallestUnit(cost, currency);
+  // Get markup in the unit the strategy expects
+  const costUnits = toSmallestUnit(costInput.trim(), currency, { rounding: 'halfUp' });
+  let markupValue = 0;
+  let markupLabel = 'none';
+  
+  if (strategy.markupUnit === 'bps') {
+    const markupInput = await question("Enter markup/margin percentage (e.g., 30 for 30%): ");
+    const pct = parseFloat(markupInput);
+    if (isNaN(pct)) {
+      console.log("❌ Invalid percentage. Please enter a number.");
+      return;
+    }
+    markupValue = pctToBps(pct);
+    markupLabel = `${pct}% (${markupValue} basis points)`;
+  } else if (strategy.markupUnit === 'units') {
+    const amountInput = await question(`Enter markup amount in ${config.code}: `);
+    const amount = parseFloat(amountInput);
+    if (isNaN(amount)) {
+      console.log("❌ Invalid amount. Please enter a number.");
+      return;
+    }
+    markupValue = toSmallestUnit(amount, currency);
+    markupLabel = formatPrice(markupValue, currency, true);
+  }
+  
+  try {
+    calculatePrice(costUnits, markupValue, strategyName, 'identity');
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    return;
+  }
   
   console.log(`\nCost: ${formatPrice(cost, currency)}`);
-  console.log(`Margin: ${margin}% (${marginBps} basis points)`);
+  console.log(`Strategy: ${strategy.name}${strategy.formula ? ` (${strategy.formula})` : ''}`);
+  console.log(`Markup: ${markupLabel}`);
   console.log(`Cost in smallest units: ${costUnits.toString()}`);
   
   // Test all rounding strategies
@@ -140,7 +201,7 @@ async function singleCalculation() {
   
   Object.entries(rounders).forEach(([key, rounder]) => {
     try {
-      const price = calculatePrice(costUnits, marginBps, 'margin', key);
+      const price = calculatePrice(costUnits, markupValue, strategyName, key);
       const formattedPrice = formatPrice(price, currency, true);
       console.log(`${key.padEnd(15)}: ${formattedPrice}`);
     } catch (error) {
@@ -155,7 +216,7 @@ async function singleCalculation() {
       const target = units - last + 9n;
       return target >= units ? target : target + 10n;
     };
-    const price = calculatePrice(costUnits, marginBps, 'margin', customRounder);
+    const price = calculatePrice(costUnits, markupValue, strategyName, customRounder);
     const formattedPrice = formatPrice(price, currency, true);
     console.log(`custom         : ${formattedPrice} (last digit 9)`);
   } catch (error) {
@@ -167,65 +228,75 @@ async function batchTest() {
   console.log("\n--- Batch Test Scenarios ---");
   
   const scenarios = [
-    { cost: 100, margin: 20, currency: 'USD', name: "Low cost, low margin (USD)" },
-    { cost: 500, margin: 40, currency: 'EUR', name: "Medium cost, medium margin (EUR)" },
-    { cost: 1000, margin: 60, currency: 'JPY', name: "High cost, high margin (JPY)" },
-    { cost: 99, margin: 25, currency: 'USD', name: "Near-dollar cost (USD)" },
-    { cost: 250, margin: 30, currency: 'INR', name: "Quarter-dollar cost (INR)" }
+    { sku: "Low cost, low margin (USD)", cost: 100, margin: 20, currency: 'USD' },
+    { sku: "Medium cost, medium margin (EUR)", cost: 500, margin: 40, currency: 'EUR' },
+    { sku: "High cost, high margin (JPY)", cost: 1000, margin: 60, currency: 'JPY' },
+    { sku: "Near-dollar cost (USD)", cost: 99, margin: 25, currency: 'USD' },
+    { sku: "Quarter-dollar cost (INR)", cost: 250, margin: 30, currency: 'INR' },
+    { sku: "Invalid margin (USD)", cost: 10, margin: 120, currency: 'USD' }
   ];
   
-  console.log("Testing multiple scenarios...\n");
+  console.log("Testing multiple scenarios with priceCatalog...\n");
   
-  scenarios.forEach((scenario, index) => {
-    console.log(`Scenario ${index + 1}: ${scenario.name}`);
-    console.log(`Cost: ${formatPrice(scenario.cost, scenario.currency)}, Margin: ${scenario.margin}%`);
+  for (const rounding of ["identity", "charm99"]) {
+    const items = scenarios.map((scenario) => ({ ...scenario, markup: pctToBps(scenario.margin), rounding }));
+    const { results, errors } = await priceCatalog(items, { strategy: "margin" });
     
-    const marginBps = pctToBps(scenario.margin);
-    const costUnits = toSmallestUnit(scenario.cost, scenario.currency);
-    
-    try {
-      const identityPrice = calculatePrice(costUnits, marginBps, "margin", "identity");
-      const charmPrice = calculatePrice(costUnits, marginBps, "margin", "charm99");
-      
-      console.log(`  Identity: ${formatPrice(identityPrice, scenario.currency, true)}`);
-      console.log(`  Charm99:  ${formatPrice(charmPrice, scenario.currency, true)}`);
-    } catch (error) {
-      console.log(`  ❌ Error: ${error.message}`);
-    }
+    console.log(`Rounding: ${rounding}`);
+    results.forEach((result) => {
+      console.log(`  ${result.sku.padEnd(34)} ${formatPrice(result.costUnits, result.currency, true).padEnd(12)} → ${formatPrice(result.priceUnits, result.currency, true)}`);
+    });
+    errors.forEach((error) => {
+      console.log(`  ${String(error.sku).padEnd(34)} ❌ ${error.field ? `[${error.field}] ` : ''}${error.message}`);
+    });
     console.log();
-  });
+  }
 }
 
 async function customRounding() {
-  console.log("\n--- Custom Rounding Function ---");
-  console.log("Enter a JavaScript expression that takes 'units' as BigInt parameter");
-  console.log("Example: units => units + (10n - (units % 10n))");
+  console.log("\n--- Custom Rounding Expression ---");
+  console.log("Enter an expression over the price in smallest units, 'units' (BigInt).");
+  console.log("Operators: + - * / % < <= > >= == != && || ! ?:");
+  console.log("Functions: min, max, abs, ceilStep(x, step), floorStep(x, step), nearestStep(x, step), endsWith(x, ending, modulus)");
+  console.log("Example: ceilStep(units, 10) - 1   (next price ending in 9)");
   
-  const customCode = await question("Custom rounding function: ");
+  const expression = (await question("Rounding expression: ")).trim();
+  const rule = { type: 'expression', expression };
   
+  let customRounder;
   try {
-    // Create a safe function context
-    const customRounder = new Function('units', `return (${customCode})(units);`);
+    customRounder = compileRoundingRule(rule);
     
     // Test with a simple example
-    const testCost = 250;
     const testCurrency = 'USD';
+    const costUnits = 250n;
     const testMargin = pctToBps(30);
     
-    console.log(`\nTesting with cost: ${formatPrice(testCost, testCurrency)}, margin: 30%`);
-    
-    const costUnits = toSmallestUnit(testCost, testCurrency);
+    console.log(`\nTesting with cost: ${formatPrice(costUnits, testCurrency, true)}, margin: 30%`);
     const price = calculatePrice(costUnits, testMargin, 'margin', customRounder);
     console.log(`Result: ${formatPrice(price, testCurrency, true)}`);
     
-    // Test the function directly
-    const testUnits = 358n;
-    const rounded = customRounder(testUnits);
-    console.log(`Direct test: ${testUnits} → ${rounded} (${formatPrice(rounded, testCurrency, true)})`);
-    
+    // Test the expression directly
+    [1n, 87n, 358n, 1000n, 4999n].forEach((units) => {
+      const rounded = customRounder(units);
+      console.log(`Direct test: ${units} → ${rounded} (${formatPrice(rounded, testCurrency, true)})`);
+    });
   } catch (error) {
-    console.log(`❌ Error in custom function: ${error.message}`);
+    console.log(`❌ ${error.message}`);
+    return;
   }
+  
+  const name = (await question("\nSave as rounder name (or press Enter to skip): ")).trim();
+  if (!name) return;
+  try {
+    registerRoundingRule(name, rule, { override: true });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    return;
+  }
+  console.log(`✅ Saved as '${name}' for this session (see 'View strategies').`);
+  console.log(`   Rule spec for config files: ${JSON.stringify({ [name]: rule })}`);
+  console.log(`   Batch jobs: --define-rounder '${name}=${expression}' --rounding ${name}`);
 }
 
 async function currencyStatistics() {
@@ -396,7 +467,434 @@ async function customCurrency() {
   }
 }
 
+// Exit codes for non-interactive commands
+const EXIT = {
+  OK: 0,
+  ERROR: 1,          // unexpected or file system error
+  INVALID_INPUT: 2,  // pricing rejected the input (or some CSV rows failed)
+  USAGE: 64          // bad command line (BSD EX_USAGE)
+};
+
+class UsageError extends Error {}
+
+// Parse `--name value`, `--name=value` and `-o value` flags against a command's known
+// flags; boolean flags never take the next argument, repeated flags collect into arrays
+function parseArgs(args, { flags = [], booleans = [], aliases = {} } = {}) {
+  const known = new Set([...flags, ...booleans, 'json', 'help']);
+  const isBoolean = (name) => name === 'json' || name === 'help' || booleans.includes(name);
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+      positional.push(arg);
+      continue;
+    }
+    let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    name = { h: 'help', ...aliases }[name] || name;
+    if (!known.has(name)) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+    if (value === undefined) {
+      if (isBoolean(name)) {
+        value = true;
+      } else if (args[i + 1] === undefined) {
+        throw new UsageError(`Option --${name} needs a value.`);
+      } else {
+        value = args[++i];
+      }
+    }
+    options[name] = name in options ? [].concat(options[name], value) : value;
+  }
+  return { options, positional };
+}
+
+// JSON with bigints written as strings so amounts stay exact
+function printJson(value) {
+  console.log(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2));
+}
+
+const DEFAULT_CONFIG_FILE = 'pricing.config.json';
+
+// Load pricing profiles from --config, $PRICING_CONFIG or ./pricing.config.json (if present)
+async function loadCliConfig(file) {
+  const source = file || process.env.PRICING_CONFIG || (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  if (source) await loadPricingConfig(source);
+}
+
+// Register `name=expression` rounders given with --define-rounder for this run (over config rounders of the same name)
+function defineRounders(definitions) {
+  [].concat(definitions || []).forEach((definition) => {
+    const [name, expression] = String(definition).split(/=(.*)/s);
+    if (!name || !expression) {
+      throw new UsageError(`Invalid --define-rounder: ${definition}. Use name=expression.`);
+    }
+    registerRoundingRule(name.trim(), { type: 'expression', expression }, { override: true });
+  });
+}
+
+function bpsToPercent(bps) {
+  return bps === null ? null : toDecimalString(bps, { decimalPlaces: 2 });
+}
+
+// Guardrail flags shared by price and reprice: --min-margin -> minMargin, ...
+const GUARDRAIL_FLAGS = ['min-price', 'max-price', 'map-price', 'min-margin', 'current-price', 'max-change', 'on-violation'];
+
+function guardrailOptions(options, flags = GUARDRAIL_FLAGS) {
+  const spec = {};
+  flags.forEach((flag) => {
+    if (options[flag] !== undefined) spec[flag.replace(/-(\w)/g, (_, c) => c.toUpperCase())] = String(options[flag]);
+  });
+  return Object.keys(spec).length ? spec : undefined;
+}
+
+const PRICE_USAGE = `Usage: node cli.js price --cost <amount> [options]
+
+Options:
+  --cost <amount>            Cost in major units (e.g., 2.50)
+  --cost-units <units>       Cost in smallest units instead (e.g., 250)
+  --currency <code>          Currency (default: USD)
+  --strategy <name>          Markup strategy (default: margin)
+  --markup <value>           "30%" or bps for percentage strategies, an amount for fixedAmount
+  --rounding <name>          Rounder (default: identity)
+  --define-rounder <n=expr>  Define a rounding expression by name (repeatable)
+  --profile <name>           Use a pricing profile; the flags above override it
+  --config <file>            Profiles config (default: $PRICING_CONFIG or ./pricing.config.json)
+  --locale <locale>          Locale for formatted prices (default: en-US)
+
+Guardrails (checked after rounding; they add to the profile's):
+  --min-price <amount>       Lowest price
+  --max-price <amount>       Highest price
+  --map-price <amount>       Minimum advertised price (MAP)
+  --min-margin <value>       Lowest margin after rounding: "25%" or bps
+  --current-price <amount>   Current shelf price, for --max-change
+  --max-change <value>       Largest move from the current price: "10%" or bps
+  --on-violation <action>    clamp (default), reround or throw (exit code 2)
+
+  --json                     Print the full breakdown as JSON`;
+
+async function priceCommand(args) {
+  const { options } = parseArgs(args, {
+    flags: ['cost', 'cost-units', 'currency', 'strategy', 'markup', 'rounding', 'define-rounder', 'profile', 'config', 'locale', ...GUARDRAIL_FLAGS]
+  });
+  if (options.help) {
+    console.log(PRICE_USAGE);
+    return EXIT.OK;
+  }
+  if ((options.cost === undefined) === (options['cost-units'] === undefined)) {
+    throw new UsageError('Pass exactly one of --cost or --cost-units.');
+  }
+  await loadCliConfig(options.config);
+  defineRounders(options['define-rounder']);
+
+  const profile = options.profile === undefined ? null : resolveProfile(options.profile);
+  const currency = String(options.currency || (profile ? profile.currency : 'USD')).toUpperCase();
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency);
+  }
+  if (profile && currency !== profile.currency) {
+    throw new PricingValidationError(`Currency ${currency} does not match the ${profile.currency} pricing profile ${profile.name}.`, {
+      field: 'currency', value: currency, allowed: [profile.currency]
+    });
+  }
+  const strategy = resolveStrategy(options.strategy || (profile ? profile.strategy : 'margin'));
+  const costUnits = options.cost !== undefined
+    ? toSmallestUnit(String(options.cost), currency)
+    : toBigInt(String(options['cost-units']), 'costUnits');
+  const markup = options.markup === undefined ? undefined : parseMarkup(String(options.markup), strategy, currency);
+  const guardrails = guardrailOptions(options);
+
+  const result = profile
+    ? calculatePriceDetailed(costUnits, { profile, strategy: options.strategy, markup, rounding: options.rounding, guardrails })
+    : calculatePriceDetailed(costUnits, markup ?? 0n, strategy.name, options.rounding || 'identity', guardrails && { ...guardrails, currency });
+  const format = (units) => formatPrice(units, currency, { inSmallestUnits: true, locale: options.locale });
+
+  if (options.json) {
+    printJson({
+      currency,
+      ...result,
+      cost: toDecimalString(result.costUnits, currency),
+      rawPrice: toDecimalString(result.rawPriceUnits, currency),
+      price: toDecimalString(result.priceUnits, currency),
+      formattedPrice: format(result.priceUnits),
+      marginPct: bpsToPercent(result.marginBps),
+      markupPct: bpsToPercent(result.markupBps)
+    });
+    return EXIT.OK;
+  }
+
+  const markupLabel = strategy.markupUnit === 'bps'
+    ? `${bpsToPercent(result.markup)}% (${result.markup} bps)`
+    : strategy.markupUnit === 'units' ? format(result.markup) : 'none';
+  if (profile) console.log(`Profile:   ${profile.name}${profile.description ? ` (${profile.description})` : ''}`);
+  console.log(`Cost:      ${format(result.costUnits)}`);
+  console.log(`Strategy:  ${strategy.name}${strategy.formula ? ` (${strategy.formula})` : ''}`);
+  console.log(`Markup:    ${markupLabel}`);
+  console.log(`Raw price: ${format(result.rawPriceUnits)}${result.tax && profile.tax.inclusive ? ' (incl. tax)' : ''}`);
+  console.log(`Price:     ${format(result.priceUnits)} (${result.rounding}, ${result.roundingDeltaUnits >= 0n ? '+' : ''}${format(result.roundingDeltaUnits)})`);
+  if (result.guardrail) {
+    const { reason, action, originalPriceUnits } = result.guardrail;
+    console.log(`Guardrail: ${reason} (${action === 'reround' ? 're-rounded' : 'clamped'} from ${format(originalPriceUnits)})`);
+  }
+  if (result.tax) {
+    console.log(`Tax:       ${result.tax.taxes.map((t) => `${t.name} ${format(t.taxUnits)}`).join(', ')} (net ${format(result.tax.netUnits)}, gross ${format(result.tax.grossUnits)})`);
+  }
+  console.log(`Profit:    ${format(result.profitUnits)} (margin ${bpsToPercent(result.marginBps) ?? '-'}%, markup ${bpsToPercent(result.markupBps) ?? '-'}%)`);
+  return EXIT.OK;
+}
+
+async function profilesCommand(args) {
+  const { options, positional } = parseArgs(args, { flags: ['config'] });
+  if (options.help || (positional.length && positional.join(' ') !== 'list')) {
+    console.log('Usage: node cli.js profiles list [--config <file>] [--json]');
+    if (options.help) return EXIT.OK;
+    throw new UsageError(`Unknown profiles action: ${positional.join(' ')}`);
+  }
+  await loadCliConfig(options.config);
+
+  const list = listProfiles().map(({ round, ...profile }) => profile);
+  if (options.json) {
+    printJson(list);
+    return EXIT.OK;
+  }
+  if (!list.length) {
+    console.log('No pricing profiles. Pass --config <file> or create pricing.config.json.');
+  }
+  list.forEach(({ name, currency, strategy, markup, rounding, guardrails, tax }) => {
+    const { minPriceUnits, maxPriceUnits, mapPriceUnits, minMarginBps, maxChangeBps } = guardrails;
+    const limits = [
+      minPriceUnits !== null && `min ${formatPrice(minPriceUnits, currency, true)}`,
+      maxPriceUnits !== null && `max ${formatPrice(maxPriceUnits, currency, true)}`,
+      mapPriceUnits !== null && `MAP ${formatPrice(mapPriceUnits, currency, true)}`,
+      minMarginBps !== null && `margin >= ${bpsToPercent(minMarginBps)}%`,
+      maxChangeBps !== null && `change <= ${bpsToPercent(maxChangeBps)}%`
+    ].filter(Boolean);
+    console.log(`${name.padEnd(16)}${currency.padEnd(5)}${String(strategy).padEnd(14)}${String(markup).padEnd(8)}${(typeof rounding === 'string' ? rounding : JSON.stringify(rounding)).padEnd(16)}${limits.join(', ')}${tax ? ` tax${tax.inclusive ? ' incl.' : ''}` : ''}`);
+  });
+  return EXIT.OK;
+}
+
+function currenciesCommand(args) {
+  const { options, positional } = parseArgs(args, { flags: ['decimals', 'region'] });
+  const [action = 'list'] = positional;
+  if (options.help || action !== 'list' || positional.length > 1) {
+    console.log('Usage: node cli.js currencies list [--decimals <n>] [--region <name>] [--json]');
+    if (options.help) return EXIT.OK;
+    throw new UsageError(`Unknown currencies action: ${positional.join(' ')}`);
+  }
+
+  const regionMap = {};
+  Object.entries(getCurrenciesByRegion()).forEach(([region, codes]) => {
+    codes.forEach((code) => {
+      regionMap[code] = region;
+    });
+  });
+
+  const list = Object.values(CURRENCIES)
+    .map(({ code, symbol, decimalPlaces, currency }) => ({ code, symbol, decimalPlaces, name: currency, region: regionMap[code] || 'Other' }))
+    .filter((c) => options.decimals === undefined || c.decimalPlaces === Number(options.decimals))
+    .filter((c) => options.region === undefined || c.region.toLowerCase() === String(options.region).toLowerCase());
+
+  if (options.json) {
+    printJson(list);
+    return EXIT.OK;
+  }
+  list.forEach((c) => {
+    console.log(`${c.code.padEnd(6)}${c.symbol.padEnd(8)}${String(c.decimalPlaces).padEnd(4)}${c.region.padEnd(16)}${c.name || ''}`);
+  });
+  return EXIT.OK;
+}
+
+function currencyCommand(args) {
+  const { options, positional } = parseArgs(args);
+  const [action, code] = positional;
+  if (options.help || action !== 'info' || !code || positional.length > 2) {
+    console.log('Usage: node cli.js currency info <CODE> [--json]');
+    if (options.help) return EXIT.OK;
+    throw new UsageError('Expected: currency info <CODE>');
+  }
+
+  const details = getCurrencyDetails(code.toUpperCase());
+  if (!details) {
+    throw new UnknownCurrencyError(code);
+  }
+  if (options.json) {
+    printJson(details);
+    return EXIT.OK;
+  }
+  console.log(`Code:           ${details.code}`);
+  console.log(`Symbol:         ${details.symbol}`);
+  console.log(`Name:           ${details.currency}`);
+  console.log(`ISO number:     ${details.number}`);
+  console.log(`Decimal places: ${details.digits}`);
+  console.log(`Example:        ${formatPrice(12345n, details.code, true)}`);
+  console.log(`Countries:      ${details.countries.join(', ')}`);
+  return EXIT.OK;
+}
+
+function roundersCommand(args) {
+  const { options, positional } = parseArgs(args);
+  if (options.help || (positional.length && positional.join(' ') !== 'list')) {
+    console.log('Usage: node cli.js rounders list [--json]');
+    if (options.help) return EXIT.OK;
+    throw new UsageError(`Unknown rounders action: ${positional.join(' ')}`);
+  }
+
+  const list = Object.entries(rounders).map(([name, rounder]) => ({ name, rule: rounder.rule ?? null }));
+  if (options.json) {
+    printJson(list);
+    return EXIT.OK;
+  }
+  list.forEach(({ name, rule }) => {
+    console.log(`${name.padEnd(16)}${rule ? JSON.stringify(rule) : ''}`);
+  });
+  return EXIT.OK;
+}
+
+function strategiesCommand(args) {
+  const { options, positional } = parseArgs(args);
+  if (options.help || (positional.length && positional.join(' ') !== 'list')) {
+    console.log('Usage: node cli.js strategies list [--json]');
+    if (options.help) return EXIT.OK;
+    throw new UsageError(`Unknown strategies action: ${positional.join(' ')}`);
+  }
+
+  const list = listStrategies();
+  if (options.json) {
+    printJson(list);
+    return EXIT.OK;
+  }
+  list.forEach(({ name, description, formula, markupUnit }) => {
+    console.log(`${name.padEnd(16)}${(markupUnit || '').padEnd(7)}${description}${formula ? ` (${formula})` : ''}`);
+  });
+  return EXIT.OK;
+}
+
+const REPRICE_USAGE = `Usage: node cli.js reprice <input.csv> [options]
+
+Options:
+  -o, --output <file>        Write the priced CSV to a file (default: stdout)
+  --delimiter <char>         Field delimiter: ',' (default), ';', 'tab', ...
+  --decimal <char>           Decimal separator for costs and prices (default: '.')
+  --map <field=Header,...>   Column mapping, e.g. --map cost=UnitCost,sku="Item No"
+                             fields: sku, cost, currency, strategy, markup, rounding, profile,
+                             currentPrice, mapPrice, rawPrice, price, margin, guardrail,
+                             error, errorField
+  --currency <code>          Default currency (default: USD)
+  --strategy <name>          Default strategy (default: margin)
+  --markup <value>           Default markup: "30%" or bps (default: 0)
+  --rounding <name>          Default rounder (default: identity)
+  --define-rounder <n=expr>  Define a rounding expression by name for --rounding and
+                             the rounding column (repeatable), e.g. end9=ceilStep(units,10)-1
+  --profile <name>           Default pricing profile (rows can name one in a profile column)
+  --config <file>            Profiles config (default: $PRICING_CONFIG or ./pricing.config.json)
+  --cost-rounding <mode>     Round costs with too many decimals (default: reject)
+  --min-margin <value>       Lowest margin after rounding for every row: "25%" or bps
+  --max-change <value>       Largest move from the current_price column: "10%" or bps
+  --on-violation <action>    clamp (default), reround or throw (the row fails)`;
+
+async function repriceCommand(args) {
+  const { options, positional } = parseArgs(args, {
+    flags: ['output', 'delimiter', 'decimal', 'map', 'currency', 'strategy', 'markup', 'rounding', 'define-rounder', 'profile', 'config', 'cost-rounding', 'min-margin', 'max-change', 'on-violation'],
+    aliases: { o: 'output' }
+  });
+  if (options.help) {
+    console.log(REPRICE_USAGE);
+    return EXIT.OK;
+  }
+  if (positional.length !== 1) {
+    throw new UsageError('Expected one input CSV file.');
+  }
+  await loadCliConfig(options.config);
+  defineRounders(options['define-rounder']);
+
+  const columns = {};
+  [].concat(options.map || []).join(',').split(',').filter(Boolean).forEach((pair) => {
+    const [field, header] = pair.split('=');
+    if (!header) throw new UsageError(`Invalid --map entry: ${pair}. Use field=Header.`);
+    columns[field.trim()] = header.trim();
+  });
+  const delimiter = options.delimiter === 'tab' || options.delimiter === '\\t' ? '\t' : options.delimiter;
+
+  const input = await readFile(positional[0], 'utf8');
+  const { csv, total, priced, failed } = await repriceCsv(input, {
+    delimiter,
+    decimalSeparator: options.decimal,
+    columns,
+    currency: options.currency,
+    strategy: options.strategy,
+    markup: options.markup,
+    rounding: options.rounding,
+    profile: options.profile,
+    costRounding: options['cost-rounding'],
+    guardrails: guardrailOptions(options, ['min-margin', 'max-change', 'on-violation'])
+  });
+
+  if (options.output) {
+    await writeFile(options.output, csv);
+  } else {
+    process.stdout.write(csv);
+  }
+  console.error(`Priced ${priced} of ${total} rows${failed ? `, ${failed} failed (see the error column)` : ''}.`);
+  return failed ? EXIT.INVALID_INPUT : EXIT.OK;
+}
+
+const COMMANDS = {
+  price: { run: priceCommand, summary: 'Price one item' },
+  reprice: { run: repriceCommand, summary: 'Reprice a CSV price list' },
+  currencies: { run: currenciesCommand, summary: 'List supported currencies' },
+  currency: { run: currencyCommand, summary: 'Show details for one currency' },
+  rounders: { run: roundersCommand, summary: 'List registered rounders' },
+  strategies: { run: strategiesCommand, summary: 'List markup strategies' },
+  profiles: { run: profilesCommand, summary: 'List pricing profiles from the config file' }
+};
+
+function printUsage() {
+  console.log('Usage: node cli.js [command] [options]\n');
+  console.log('Run without a command for the interactive menu.\n');
+  console.log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, { summary }]) => {
+    console.log(`  ${name.padEnd(12)}${summary}`);
+  });
+  console.log('\nRun `node cli.js <command> --help` for command options. Add --json for machine-readable output.');
+  console.log(`Exit codes: ${EXIT.OK} ok, ${EXIT.ERROR} error, ${EXIT.INVALID_INPUT} invalid input / rows failed, ${EXIT.USAGE} usage error`);
+}
+
+async function runCommand(command, args) {
+  if (command === 'help' || command === '--help' || command === '-h') {
+    printUsage();
+    return EXIT.OK;
+  }
+  const json = args.includes('--json');
+  try {
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}. Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    return await COMMANDS[command].run(args);
+  } catch (error) {
+    if (json) {
+      // Library errors serialize with their code and details (see PricingError#toJSON)
+      printJson({ error: error instanceof PricingError ? error : { message: error.message, ...(error.field && { field: error.field }) } });
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    if (error instanceof UsageError) return EXIT.USAGE;
+    // System errors (missing file, permissions) carry a syscall; everything else is rejected input
+    return error.syscall ? EXIT.ERROR : EXIT.INVALID_INPUT;
+  }
+}
+
 async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command) {
+    process.exitCode = await runCommand(command, args);
+    return;
+  }
+
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
   console.log("🚀 Starting Pricing Engine CLI...");
   
   while (true) {
@@ -410,6 +908,7 @@ async function main() {
           await singleCalculation();
           break;
         case '2':
+          displayStrategies();
           displayRounders();
           break;
         case '3':
@@ -451,7 +950,7 @@ async function main() {
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log("\n\n👋 Goodbye! Thanks for testing the pricing engine.");
-  rl.close();
+  if (rl) rl.close();
   process.exit(0);
 });
 
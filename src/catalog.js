@@ -0,0 +1,231 @@
+/**
+ * Batch pricing for whole catalogs
+ *
+ * Items are priced one at a time from an array, iterable or async iterable, so a
+ * nightly repricing of thousands of SKUs never holds more than one row in flight.
+ * Bad rows are reported as errors instead of stopping the run.
+ */
+
+import { CURRENCIES, toSmallestUnit } from './currency.js';
+import { calculatePriceDetailed } from './core/calculator.js';
+import { resolveStrategy } from './strategies/index.js';
+import { resolveRounder } from './rounding/index.js';
+import { parseMarkup, resolveProfile } from './config.js';
+import { defineGuardrails, GuardrailError } from './guardrails.js';
+import { toBigInt } from './core/math.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+export { parseMarkup };
+
+/**
+ * Catalog item
+ * @typedef {Object} CatalogItem
+ * @property {string} [sku] - Item identifier, echoed in results and errors
+ * @property {bigint|number} [costUnits] - Cost in smallest units
+ * @property {string|number} [cost] - Cost in major units (e.g., "2.50"), used when costUnits is absent
+ * @property {string} [currency] - ISO code (defaults to options.currency)
+ * @property {string|Object} [strategy] - Markup strategy (defaults to options.strategy)
+ * @property {*} [markup] - Markup value for the strategy, or a string parsed with parseMarkup (defaults to options.markup)
+ * @property {string|function} [rounding] - Rounding (defaults to options.rounding)
+ * @property {string} [profile] - Pricing profile (defaults to options.profile); its currency, strategy,
+ *   markup and rounding replace the catalog defaults and the item's own fields override them
+ * @property {string|number} [currentPrice] - Current shelf price in major units (or currentPriceUnits), for maxChange
+ * @property {string|number} [mapPrice] - Minimum advertised price in major units (or mapPriceUnits)
+ */
+
+/**
+ * Per-item outcome
+ * @typedef {Object} CatalogEntry
+ * @property {number} index - Position in the input
+ * @property {string|undefined} sku - Item SKU
+ * @property {boolean} ok - Whether the item priced successfully
+ * @property {Object} [result] - PriceBreakdown plus sku and currency (when ok)
+ * @property {{index: number, sku: string|undefined, field: string|undefined, code: string, message: string, error: PricingError}} [error] - Failure (when not ok)
+ */
+
+// Fail with the field name attached so callers can point at the bad column
+function invalid(field, message) {
+  return new PricingValidationError(message, { field });
+}
+
+// Report a caught error against an item field, keeping its class and code
+function atField(field, error, prefix) {
+  const wrapped = withErrorContext(error, { prefix });
+  wrapped.field = field;
+  return wrapped;
+}
+
+const ITEM_GUARDRAILS = ['currentPrice', 'mapPrice'];
+
+// Per-item guardrail amounts (parsed like costs) layered over the catalog-wide guardrails option
+function itemGuardrails(item, defaults, currency) {
+  const spec = { ...defaults.guardrails };
+  ITEM_GUARDRAILS.forEach((field) => {
+    let units = item[`${field}Units`];
+    if (units === undefined || units === null || units === '') {
+      const value = item[field];
+      if (value === undefined || value === null || value === '') return;
+      try {
+        units = toSmallestUnit(value, currency, defaults.costFormat);
+      } catch (error) {
+        throw atField(field, error, `${field} `);
+      }
+    }
+    try {
+      defineGuardrails({ [`${field}Units`]: units });
+    } catch (error) {
+      throw atField(field, error);
+    }
+    delete spec[field];
+    spec[`${field}Units`] = units;
+  });
+  if (Object.keys(spec).length === 0) return undefined;
+  try {
+    defineGuardrails(spec, { currency });
+  } catch (error) {
+    throw atField('guardrails', error);
+  }
+  return spec;
+}
+
+function priceItem(item, defaults) {
+  if (item === null || typeof item !== 'object') {
+    throw invalid(undefined, 'Catalog item must be an object.');
+  }
+
+  const profileName = item.profile ?? defaults.profile;
+  let profile = null;
+  if (profileName !== undefined && profileName !== null && profileName !== '') {
+    try {
+      profile = resolveProfile(profileName);
+    } catch (error) {
+      throw atField('profile', error);
+    }
+  }
+  const base = profile || defaults;
+
+  const currency = item.currency || base.currency;
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency);
+  }
+  if (profile && currency !== profile.currency) {
+    throw new PricingValidationError(`Currency ${currency} does not match the ${profile.currency} pricing profile ${profile.name}.`, {
+      field: 'currency', value: currency, allowed: [profile.currency]
+    });
+  }
+
+  let costUnits = item.costUnits;
+  if (costUnits === undefined || costUnits === null || costUnits === '') {
+    if (item.cost === undefined || item.cost === null || item.cost === '') {
+      throw invalid('cost', 'Catalog item needs a cost or costUnits.');
+    }
+    try {
+      costUnits = toSmallestUnit(item.cost, currency, { ...defaults.costFormat, rounding: defaults.costRounding });
+    } catch (error) {
+      throw atField('cost', error);
+    }
+  }
+
+  try {
+    costUnits = toBigInt(costUnits, 'cost');
+  } catch (error) {
+    throw atField('cost', error);
+  }
+  if (costUnits < 0n) {
+    throw new PricingRangeError('costUnits cannot be negative.', { field: 'cost', value: costUnits, min: 0n });
+  }
+
+  const strategy = item.strategy ?? base.strategy;
+  try {
+    resolveStrategy(strategy);
+  } catch (error) {
+    throw atField('strategy', error);
+  }
+
+  // Profiles keep their compiled rounding rule unless the item names another rounder
+  const rounding = item.rounding ?? (profile ? undefined : defaults.rounding);
+  try {
+    if (rounding !== undefined) resolveRounder(rounding);
+  } catch (error) {
+    throw atField('rounding', error);
+  }
+
+  const guardrails = itemGuardrails(item, defaults, currency);
+
+  // Cost, strategy, rounding and guardrail amounts are valid here, so what remains is the
+  // markup, or a guardrail rejecting the price (GuardrailError, reported against 'price')
+  let markup = item.markup ?? base.markup;
+  let breakdown;
+  try {
+    if (typeof markup === 'string') markup = parseMarkup(markup, strategy, currency, defaults.costFormat);
+    breakdown = profile
+      ? calculatePriceDetailed(costUnits, { profile, strategy, markup, rounding, guardrails })
+      : calculatePriceDetailed(costUnits, markup, strategy, rounding, guardrails && { ...guardrails, currency });
+  } catch (error) {
+    throw atField(error instanceof GuardrailError ? 'price' : 'markup', error);
+  }
+  return { sku: item.sku, currency, ...breakdown };
+}
+
+/**
+ * Price catalog items one by one, yielding a result or an error for each
+ * @param {Iterable<CatalogItem>|AsyncIterable<CatalogItem>} items - Items to price
+ * @param {Object} [options] - Defaults for items that omit a field
+ * @param {string} [options.currency='USD'] - Default currency
+ * @param {string|Object} [options.strategy='margin'] - Default strategy
+ * @param {*} [options.markup=0] - Default markup value
+ * @param {string|function} [options.rounding='identity'] - Default rounding
+ * @param {string} [options.profile] - Default pricing profile
+ * @param {Object} [options.guardrails] - Guardrails for every item, e.g. { minMargin: '25%', maxChange: '10%',
+ *   onViolation: 'throw' } (amounts in major units of each item's currency; see defineGuardrails)
+ * @param {string} [options.costRounding] - Rounding mode for decimal costs with too many digits (default: reject)
+ * @param {Object} [options.costFormat] - locale / decimalSeparator / groupSeparator for decimal costs and markups
+ * @returns {AsyncGenerator<CatalogEntry>} Entries in input order
+ */
+export async function* streamCatalogPrices(items, options = {}) {
+  const { currency = 'USD', strategy = 'margin', markup = 0, rounding = 'identity', ...rest } = options;
+  const defaults = { currency, strategy, markup, rounding, ...rest };
+  // Misspelled or malformed catalog-wide guardrails fail the run, not every row
+  if (defaults.guardrails) defineGuardrails(defaults.guardrails);
+
+  let index = 0;
+  for await (const item of items) {
+    const sku = item && typeof item === 'object' ? item.sku : undefined;
+    let entry;
+    try {
+      entry = { index, sku, ok: true, result: priceItem(item, defaults) };
+    } catch (error) {
+      entry = { index, sku, ok: false, error: { index, sku, field: error.field, code: error.code, message: error.message, error } };
+    }
+    yield entry;
+    index++;
+  }
+}
+
+/**
+ * Price a whole catalog, collecting results and validation errors instead of throwing
+ * on the first bad row. Pass `onResult` with `collectResults: false` to stream results
+ * out (e.g., to a file) while only keeping the errors in memory.
+ * @param {Iterable<CatalogItem>|AsyncIterable<CatalogItem>} items - Items to price
+ * @param {Object} [options] - Same defaults as streamCatalogPrices, plus:
+ * @param {(result: Object, index: number) => (void|Promise<void>)} [options.onResult] - Called for each priced item
+ * @param {boolean} [options.collectResults=true] - Keep priced items in the returned `results`
+ * @returns {Promise<{results: Object[], errors: Object[], total: number, priced: number, failed: number}>} Summary
+ */
+export async function priceCatalog(items, { onResult, collectResults = true, ...options } = {}) {
+  const results = [];
+  const errors = [];
+  let total = 0;
+
+  for await (const entry of streamCatalogPrices(items, options)) {
+    total++;
+    if (!entry.ok) {
+      errors.push(entry.error);
+      continue;
+    }
+    if (onResult) await onResult(entry.result, entry.index);
+    if (collectResults) results.push(entry.result);
+  }
+
+  return { results, errors, total, priced: total - errors.length, failed: errors.length };
+}
@@ -0,0 +1,397 @@
+/**
+ * Pricing profiles and config files
+ *
+ * A profile bundles what every call site would otherwise repeat: currency, strategy,
+ * markup, rounding rule, guardrails (price limits, MAP, minimum margin) and tax. Profiles are registered by name and used
+ * with calculatePrice(cost, { profile: 'spices' }), catalog/CSV rows and the CLI.
+ *
+ * Config file shape (JSON, or YAML when the optional `yaml` package is installed):
+ *
+ *   {
+ *     "rounders": { "store99": { "type": "expression", "expression": "endsWith(units, 99, 100)" } },
+ *     "defaults": { "currency": "USD", "tax": { "rates": [{ "name": "VAT", "rateBps": 2000 }], "inclusive": true } },
+ *     "profiles": {
+ *       "spices":  { "strategy": "margin", "markup": "45%", "rounding": "store99", "minPrice": "0.99", "minMargin": "35%" },
+ *       "produce": { "strategy": "costPlus", "markup": "30%", "rounding": { "type": "ceilStep", "step": 5 } }
+ *     }
+ *   }
+ *
+ * `rounders` are registered first (see registerRoundingRule) so profiles can name them;
+ * `defaults` are merged under every profile.
+ */
+
+import { CURRENCIES, toSmallestUnit } from './currency.js';
+import { decimalToUnits } from './core/decimal.js';
+import { resolveStrategy } from './strategies/index.js';
+import { rounders, compileRoundingRule, registerRoundingRule, resolveCurrencyRounder, BUILT_IN_ROUNDERS } from './rounding/index.js';
+import { divFloor } from './core/math.js';
+// calculator.js calls back into this module for { profile } options; only use it inside functions
+import { calculatePriceDetailed, checkCostCurrency, roundAboveMinimum } from './core/calculator.js';
+import { getTaxMultiplier, addTax, extractTax } from './tax.js';
+import { defineGuardrails, mergeGuardrails, applyGuardrails } from './guardrails.js';
+import {
+  PricingError, PricingValidationError, UnknownCurrencyError, UnknownProfileError, ERROR_CODES, withErrorContext
+} from './errors.js';
+
+const configError = (message, details) => new PricingValidationError(message, { ...details, code: ERROR_CODES.INVALID_CONFIG });
+
+/**
+ * Pricing profile as stored in the registry
+ * @typedef {Object} PricingProfile
+ * @property {string} name - Registry key
+ * @property {string} [description] - Free text
+ * @property {string} currency - ISO code (default 'USD')
+ * @property {string|Object} strategy - Markup strategy (default 'margin')
+ * @property {*} markup - Markup value ("30%" strings are parsed to bps)
+ * @property {string|Array|Object} rounding - Rounder name or rule spec (default 'identity')
+ * @property {(priceUnits: bigint) => bigint} round - Compiled rounder for the profile currency
+ * @property {Guardrails} guardrails - minPrice, maxPrice, mapPrice, minMargin, maxChange and onViolation (see src/guardrails.js)
+ * @property {{rates: Array, inclusive: boolean}|null} tax - Taxes; inclusive profiles price and round the gross
+ */
+
+const PROFILE_FIELDS = ['description', 'currency', 'strategy', 'markup', 'rounding', 'minPrice', 'maxPrice', 'mapPrice', 'minMargin', 'maxChange', 'onViolation', 'tax'];
+const PROFILE_GUARDRAILS = ['minPrice', 'maxPrice', 'mapPrice', 'minMargin', 'maxChange', 'onViolation'];
+
+// Registry of named pricing profiles
+export const profiles = {};
+
+/**
+ * Parse a markup written for people into the strategy's markup value.
+ * bps strategies take "30%" (exact, 3000n) or a whole number of bps ("3000");
+ * units strategies take a decimal amount in major units of the currency ("0.50").
+ * @param {string} value - Markup text
+ * @param {string|Object} strategy - Strategy name or definition
+ * @param {string} [currency='USD'] - Currency for units markups
+ * @param {Object} [format] - locale / decimalSeparator / groupSeparator (see decimalToUnits)
+ * @returns {bigint} Markup value
+ */
+export function parseMarkup(value, strategy, currency = 'USD', format = {}) {
+  const definition = resolveStrategy(strategy);
+  const text = String(value).trim();
+  if (definition.markupUnit === 'units') {
+    return toSmallestUnit(text, currency, format);
+  }
+  if (text.endsWith('%')) {
+    return decimalToUnits(text.slice(0, -1), 2, format);
+  }
+  if (!/^[+-]?\d+$/.test(text)) {
+    throw new PricingValidationError(`Invalid markup: ${value}. Use a percentage ("30%") or whole basis points ("3000").`, { field: 'markup', value });
+  }
+  return BigInt(text);
+}
+
+function normalizeTax(tax) {
+  if (tax === undefined || tax === null) return null;
+  const spec = typeof tax === 'object' && !Array.isArray(tax) && 'rates' in tax ? tax : { rates: tax };
+  try {
+    getTaxMultiplier(spec.rates);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: 'tax ', field: 'tax' });
+  }
+  return { rates: spec.rates, inclusive: Boolean(spec.inclusive) };
+}
+
+/**
+ * Validate a profile spec and fill in defaults (without registering it)
+ * @param {string} name - Profile name
+ * @param {Object} spec - currency, strategy, markup, rounding, tax, description and the guardrails
+ *   minPrice, maxPrice, mapPrice (major units), minMargin, maxChange ("25%" or bps) and onViolation
+ * @param {Object} [options]
+ * @param {string} [options.label='Pricing profile'] - Error message prefix (e.g., 'Pricing rules' for rule trees)
+ * @returns {PricingProfile} Normalized profile
+ */
+export function defineProfile(name, spec, { label = 'Pricing profile' } = {}) {
+  try {
+    return buildProfile(name, spec);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${label} "${name}": ` });
+  }
+}
+
+function buildProfile(name, spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new PricingValidationError('must be an object.', { field: 'profile' });
+  }
+  const unknown = Object.keys(spec).filter((key) => !PROFILE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`unknown field(s) ${unknown.join(', ')}. Supported fields: ${PROFILE_FIELDS.join(', ')}`, {
+      field: unknown[0], allowed: PROFILE_FIELDS
+    });
+  }
+
+  const currency = spec.currency || 'USD';
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency, { message: `unknown currency: ${currency}` });
+  }
+
+  const strategy = spec.strategy ?? 'margin';
+  let markup = spec.markup ?? 0;
+  resolveStrategy(strategy);
+  if (typeof markup === 'string') markup = parseMarkup(markup, strategy, currency);
+
+  const rounding = spec.rounding ?? 'identity';
+  const round = resolveCurrencyRounder(rounding, currency);
+
+  const guardrails = defineGuardrails(
+    Object.fromEntries(PROFILE_GUARDRAILS.filter((field) => spec[field] !== undefined).map((field) => [field, spec[field]])),
+    { currency }
+  );
+
+  return {
+    name,
+    description: spec.description || '',
+    currency,
+    strategy,
+    markup,
+    rounding,
+    round,
+    guardrails,
+    tax: normalizeTax(spec.tax)
+  };
+}
+
+/**
+ * Register a pricing profile by name
+ * @param {string} name - Registry key (e.g., 'spices')
+ * @param {Object} spec - Profile spec (see defineProfile)
+ * @param {Object} [options]
+ * @param {boolean} [options.override=false] - Allow replacing an existing profile
+ * @returns {PricingProfile} The registered profile
+ */
+export function registerProfile(name, spec, { override = false } = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new PricingValidationError('Pricing profile name must be a non-empty string.', { field: 'profile', value: name });
+  }
+  if (name in profiles && !override) {
+    throw new PricingError(`Pricing profile already registered: ${name}. Pass { override: true } to replace it.`, {
+      code: ERROR_CODES.ALREADY_REGISTERED, field: 'profile', value: name
+    });
+  }
+  profiles[name] = defineProfile(name, spec);
+  return profiles[name];
+}
+
+/**
+ * Remove a pricing profile from the registry
+ * @param {string} name - Registry key
+ * @returns {boolean} Whether a profile was removed
+ */
+export function unregisterProfile(name) {
+  if (!(name in profiles)) return false;
+  delete profiles[name];
+  return true;
+}
+
+// Resolve a profile by name, or accept a profile object (an inline spec is validated first).
+export function resolveProfile(profile) {
+  if (profile && typeof profile === 'object') {
+    return typeof profile.round === 'function' ? profile : defineProfile(profile.name || 'inline', profile);
+  }
+  const p = Object.prototype.hasOwnProperty.call(profiles, profile) ? profiles[profile] : undefined;
+  if (!p) {
+    throw new UnknownProfileError(profile, Object.keys(profiles));
+  }
+  return p;
+}
+
+/**
+ * Get all registered profiles
+ * @returns {PricingProfile[]} Profiles in registration order
+ */
+export function listProfiles() {
+  return Object.values(profiles);
+}
+
+/**
+ * Profile price breakdown: a PriceBreakdown (see calculatePriceDetailed) where priceUnits is
+ * the shelf price (tax-inclusive for inclusive profiles) and profit/margin use the net price.
+ * @typedef {Object} ProfilePriceBreakdown
+ * @property {string} profile - Profile name
+ * @property {string} currency - Profile currency
+ * @property {bigint} netUnits - Tax-exclusive price (same as priceUnits without inclusive tax)
+ * @property {'minPrice'|'maxPrice'|'mapPrice'|'minMargin'|'maxChange'|null} limit - Guardrail that replaced the rounded price, if any
+ * @property {GuardrailResult|null} guardrail - Details of that guardrail (bounds, action, price before it)
+ * @property {TaxBreakdown|null} tax - Tax on the shelf price (null without taxes)
+ */
+
+/**
+ * Price a cost with a profile; backs calculatePrice(cost, { profile }) and calculatePriceDetailed.
+ * The strategy prices the net amount; inclusive profiles add tax before rounding so the
+ * rounding rule and the guardrails apply to the price the shopper sees (minMargin still
+ * applies to the net price).
+ * @param {bigint|number|{costUnits: bigint, currency?: string}} costUnits - Cost in smallest units of the profile
+ *   currency, or a breakdown such as a landed cost (whose currency must be the profile's)
+ * @param {Object} options
+ * @param {string|Object} options.profile - Profile name or spec
+ * @param {string|Object} [options.strategy] - Override the profile strategy
+ * @param {*} [options.markup] - Override the profile markup ("30%" strings are parsed)
+ * @param {string|function|Object} [options.rounding] - Override the profile rounding
+ * @param {Object} [options.guardrails] - Guardrails layered over the profile's, in the profile
+ *   currency (e.g., { currentPrice: '3.49', maxChange: '10%' } or { mapPriceUnits: 399n })
+ * @returns {ProfilePriceBreakdown} Breakdown
+ */
+export function calculateProfilePrice(costUnits, { profile: profileName, strategy, markup, rounding, guardrails } = {}) {
+  const profile = resolveProfile(profileName);
+  checkCostCurrency(costUnits, profile.currency, `${profile.name} pricing profile is`);
+  const effectiveStrategy = strategy ?? profile.strategy;
+  let effectiveMarkup = markup ?? profile.markup;
+  if (typeof effectiveMarkup === 'string') {
+    effectiveMarkup = parseMarkup(effectiveMarkup, effectiveStrategy, profile.currency);
+  }
+  let round = profile.round;
+  if (rounding !== undefined) {
+    round = resolveCurrencyRounder(rounding, profile.currency);
+  }
+  const label = rounding ?? profile.rounding;
+
+  const base = calculatePriceDetailed(costUnits, effectiveMarkup, effectiveStrategy, 'identity');
+  const { tax } = profile;
+  const inclusive = Boolean(tax && tax.inclusive);
+  const rawPriceUnits = inclusive ? addTax(base.rawPriceUnits, tax.rates).grossUnits : base.rawPriceUnits;
+  const { minPriceUnits = null } = base;
+  const minShelfUnits = inclusive && minPriceUnits !== null ? addTax(minPriceUnits, tax.rates, { taxRounding: 'ceil' }).grossUnits : minPriceUnits;
+
+  const effectiveGuardrails = guardrails
+    ? mergeGuardrails(profile.guardrails, defineGuardrails(guardrails, { currency: profile.currency }))
+    : profile.guardrails;
+  const { priceUnits, guardrail } = applyGuardrails(roundAboveMinimum(round, rawPriceUnits, minShelfUnits), effectiveGuardrails, {
+    costUnits: base.costUnits,
+    round,
+    netOf: inclusive ? (units) => extractTax(units, tax.rates).netUnits : undefined,
+    grossOf: inclusive ? (units) => addTax(units, tax.rates).grossUnits : undefined
+  });
+
+  const taxBreakdown = !tax ? null : inclusive ? extractTax(priceUnits, tax.rates) : addTax(priceUnits, tax.rates);
+  const netUnits = inclusive ? taxBreakdown.netUnits : priceUnits;
+  const profitUnits = netUnits - base.costUnits;
+
+  return {
+    costUnits: base.costUnits,
+    strategy: base.strategy,
+    markup: base.markup,
+    rounding: typeof label === 'string' ? label : round.rule ? 'rule' : round.name || 'custom',
+    rawPriceUnits,
+    priceUnits,
+    roundingDeltaUnits: priceUnits - rawPriceUnits,
+    profitUnits,
+    marginBps: netUnits === 0n ? null : divFloor(profitUnits * 10000n, netUnits),
+    markupBps: base.costUnits === 0n ? null : divFloor(profitUnits * 10000n, base.costUnits),
+    profile: profile.name,
+    currency: profile.currency,
+    netUnits,
+    limit: guardrail ? guardrail.reason : null,
+    guardrail,
+    tax: taxBreakdown
+  };
+}
+
+/**
+ * Validate a parsed config object and register its rounders and profiles.
+ * Everything is validated before anything is registered, so a bad config changes nothing.
+ * @param {Object} config - { rounders?, defaults?, profiles }
+ * @param {Object} [options]
+ * @param {boolean} [options.override=true] - Replace rounders and profiles with the same name (e.g., when reloading)
+ * @returns {{rounders: string[], profiles: Object<string, PricingProfile>}} What was registered
+ */
+export function applyPricingConfig(config, { override = true } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw configError('Pricing config must be an object with a "profiles" section.');
+  }
+  const unknown = Object.keys(config).filter((key) => !['rounders', 'defaults', 'profiles'].includes(key));
+  if (unknown.length) {
+    throw configError(`Pricing config has unknown section(s): ${unknown.join(', ')}. Supported sections: rounders, defaults, profiles`, {
+      field: unknown[0], allowed: ['rounders', 'defaults', 'profiles']
+    });
+  }
+  const { rounders: rounderSpecs = {}, defaults = {}, profiles: profileSpecs = {} } = config;
+
+  // Compile rounders first (profiles may reference them) and only keep them once all of it is valid
+  const compiled = Object.entries(rounderSpecs).map(([name, spec]) => {
+    if (BUILT_IN_ROUNDERS.includes(name)) {
+      throw new PricingError(`Pricing config rounder "${name}" would replace a built-in rounder; choose another name.`, {
+        code: ERROR_CODES.ALREADY_REGISTERED, field: 'rounders', value: name
+      });
+    }
+    if (!override && Object.prototype.hasOwnProperty.call(rounders, name)) {
+      throw new PricingError(`Pricing config rounder "${name}" is already registered. Pass { override: true } to replace it.`, {
+        code: ERROR_CODES.ALREADY_REGISTERED, field: 'rounders', value: name
+      });
+    }
+    try {
+      compileRoundingRule(spec);
+    } catch (error) {
+      throw withErrorContext(error, { prefix: `Pricing config rounder "${name}": `, field: 'rounders' });
+    }
+    return [name, spec];
+  });
+  const previous = compiled.map(([name]) => [name, rounders[name]]);
+  compiled.forEach(([name, spec]) => registerRoundingRule(name, spec, { override: true }));
+
+  let defined;
+  try {
+    defined = Object.entries(profileSpecs).map(([name, spec]) => defineProfile(name, { ...defaults, ...spec }));
+    if (!override) {
+      const taken = defined.filter(({ name }) => name in profiles).map(({ name }) => name);
+      if (taken.length) {
+        throw new PricingError(`Pricing profile already registered: ${taken.join(', ')}. Pass { override: true } to replace them.`, {
+          code: ERROR_CODES.ALREADY_REGISTERED, field: 'profiles', value: taken
+        });
+      }
+    }
+  } catch (error) {
+    previous.forEach(([name, rounder]) => {
+      if (rounder) rounders[name] = rounder;
+      else delete rounders[name];
+    });
+    throw error;
+  }
+
+  defined.forEach((profile) => {
+    profiles[profile.name] = profile;
+  });
+  return { rounders: compiled.map(([name]) => name), profiles: Object.fromEntries(defined.map((p) => [p.name, p])) };
+}
+
+/**
+ * Load a pricing config file (.json, or .yaml/.yml with the optional `yaml` package)
+ * and register its rounders and profiles.
+ * @param {string|Object} source - File path, or an already-parsed config object
+ * @param {Object} [options]
+ * @param {'json'|'yaml'} [options.format] - Override detection by file extension
+ * @param {boolean} [options.override=true] - See applyPricingConfig
+ * @returns {Promise<{rounders: string[], profiles: Object<string, PricingProfile>}>} What was registered
+ */
+export async function loadPricingConfig(source, { format, ...options } = {}) {
+  if (typeof source !== 'string') return applyPricingConfig(source, options);
+
+  const { readFile } = await import('fs/promises');
+  const text = await readFile(source, 'utf8');
+  const type = format || (/\.ya?ml$/i.test(source) ? 'yaml' : 'json');
+
+  const parser = type === 'yaml' ? await importOptional('yaml', 'YAML config files', 'use a .json config') : JSON;
+  let config;
+  try {
+    config = parser.parse(text);
+  } catch (error) {
+    throw configError(`Could not parse pricing config ${source}: ${error.message}`, { file: source, cause: error });
+  }
+  return applyPricingConfig(config, options);
+}
+
+/**
+ * Import an optional dependency, or throw MISSING_DEPENDENCY saying what needs it
+ * @param {string} name - Package name (e.g., 'yaml')
+ * @param {string} purpose - What needs it (e.g., 'YAML config files')
+ * @param {string} [alternative] - What to do instead (e.g., 'use a .json config')
+ * @returns {Promise<Object>} The module
+ */
+export async function importOptional(name, purpose, alternative) {
+  try {
+    return await import(name);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new PricingError(`${purpose} need the optional '${name}' package (npm install ${name})${alternative ? `; or ${alternative}` : ''}.`, {
+      code: ERROR_CODES.MISSING_DEPENDENCY, value: name, cause: error
+    });
+  }
+}
@@ -1,19 +1,32 @@
-import { divCeil } from "./math.js";
+import { divFloor, toBigInt } from "./math.js";
+import { PricingError, PricingRangeError, PricingValidationError, ERROR_CODES } from "../errors.js";
 import { resolveRounder } from "../rounding/index.js";
+import { resolveStrategy, toMarkupBigInt } from "../strategies/index.js";
+import { explainCompetitivePrice } from "../strategies/competitive.js";
+import { defineGuardrails, applyGuardrails } from "../guardrails.js";
+// config.js prices profiles with calculatePriceDetailed; only use it inside functions
+import { calculateProfilePrice } from "../config.js";
 
 /**
  * Base pricing calculator with support for multiple markup strategies.
  *
  * Inputs:
- *  - costUnits: bigint | number  (in smallest monetary units; e.g., cents)
+ *  - costUnits: bigint | number  (in smallest monetary units; e.g., cents), or a breakdown with
+ *    `costUnits` such as a landed cost (see src/landedCost.js)
  *  - markupValue: number | bigint  (markup amount based on strategy)
- *  - strategy: string (markup strategy to use)
+ *  - strategy: string | StrategyDefinition (markup strategy to use)
  *  - rounding:  string | (priceUnits: bigint) => bigint
+ *  - guardrails: optional { minPrice, maxPrice, map, minMargin, currentPrice, maxChange,
+ *    onViolation, currency } applied after rounding (see src/guardrails.js)
+ *  or
+ *  - options: { profile, strategy?, markup?, rounding?, guardrails? } in place of markupValue to
+ *    use a registered pricing profile (see src/config.js); later arguments are ignored
  *
  * Output:
  *  - price in smallest monetary units as bigint
  *
- * Supported Strategies:
+ * Strategies are resolved from the `strategies` registry (see src/strategies).
+ * Built-in strategies:
  *  - 'margin': margin on selling price (price = cost / (1 - margin))
  *  - 'costPlus': fixed percentage added to cost (price = cost * (1 + markup))
  *  - 'keystone': double the cost (price = cost * 2)
@@ -21,89 +34,147 @@ import { resolveRounder } from "../rounding/index.js";
  *  - 'fixedAmount': fixed amount added to cost (price = cost + markup)
  *  - 'targetMargin': target margin on cost (price = cost / (1 - margin))
  *  - 'markupOnCost': percentage markup on cost (price = cost * (1 + markup))
+ *  - 'competitive': competitor prices with a cost-based minimum (markup is a rule object). The
+ *    rounder can land above the competition (e.g., 'charm99' turns a matched 459 into 499), never
+ *    below the minimum; calculateCompetitivePrice also reports whether the rule still holds (`meetsRule`)
+ *
+ * Strategies with a minimum price (`minPrice`, e.g., competitive's cost floor) keep it after
+ * rounding: a rounder that goes below it rounds the minimum instead (see roundAboveMinimum).
+ */
+export function calculatePrice(costUnits, markupValue, strategy = "margin", rounding = "identity", guardrails) {
+  if (isProfileOptions(markupValue)) {
+    return calculateProfilePrice(costUnits, markupValue).priceUnits;
+  }
+  if (guardrails) checkCostCurrency(costUnits, guardrails.currency, "guardrails are");
+  const { cost, rawPriceUnits, minPriceUnits } = computeRawPrice(costUnits, markupValue, strategy);
+
+  // Cosmetic / pricing-rule rounding
+  const rounder = resolveRounder(rounding);
+  const rounded = roundAboveMinimum(rounder, rawPriceUnits, minPriceUnits);
+  if (!guardrails) return rounded;
+  return guardPrice(rounded, guardrails, cost, rounder).priceUnits;
+}
+
+/**
+ * Price breakdown returned by calculatePriceDetailed
+ * @typedef {Object} PriceBreakdown
+ * @property {bigint} costUnits - Cost in smallest currency units
+ * @property {string} strategy - Name of the markup strategy applied
+ * @property {*} markup - Normalized markup input (bps or units for built-in strategies)
+ * @property {string} rounding - Name of the rounder applied ('custom' for anonymous functions)
+ * @property {bigint} rawPriceUnits - Price from the strategy, before cosmetic rounding
+ * @property {bigint} priceUnits - Final price after rounding (same as calculatePrice)
+ * @property {bigint} roundingDeltaUnits - priceUnits - rawPriceUnits (negative if the rounder went down)
+ * @property {bigint} profitUnits - Gross profit: priceUnits - costUnits
+ * @property {bigint|null} marginBps - Realized margin on price after rounding, rounded down (null if price is 0)
+ * @property {bigint|null} markupBps - Realized markup on cost after rounding, rounded down (null if cost is 0)
+ * @property {bigint} [minPriceUnits] - Lowest price the strategy allows after rounding (only for strategies with a minPrice)
+ * @property {GuardrailResult|null} [guardrail] - Guardrail that changed the price (only when guardrails are given)
+ */
+
+/**
+ * Same as calculatePrice, but returns a full breakdown of how the price was reached.
+ * Realized margin/markup are rounded down so reports never overstate profitability.
+ * @param {bigint|number|{costUnits: bigint, currency?: string}} costUnits - Cost in smallest currency units, or a landed
+ *   cost breakdown (its `currency` must match the profile's or the guardrails', see checkCostCurrency)
+ * @param {*} markupValue - Markup amount based on strategy, or { profile, ...overrides }
+ * @param {string|Object} strategy - Markup strategy (default: 'margin')
+ * @param {string|function} rounding - Rounding strategy
+ * @param {Object} [guardrails] - Guardrail spec plus `currency` for major-unit amounts (see defineGuardrails)
+ * @returns {PriceBreakdown} - Structured price breakdown (a ProfilePriceBreakdown for profiles)
  */
-export function calculatePrice(costUnits, markupValue, strategy = "margin", rounding = "identity") {
-  // normalize inputs to BigInt
-  let cost = typeof costUnits === "bigint" ? costUnits : BigInt(costUnits);
-  let markup = typeof markupValue === "bigint" ? markupValue : BigInt(Math.round(markupValue));
+export function calculatePriceDetailed(costUnits, markupValue, strategy = "margin", rounding = "identity", guardrails) {
+  if (isProfileOptions(markupValue)) {
+    return calculateProfilePrice(costUnits, markupValue);
+  }
+  if (guardrails) checkCostCurrency(costUnits, guardrails.currency, "guardrails are");
+  const { cost, definition, markup, rawPriceUnits, minPriceUnits } = computeRawPrice(costUnits, markupValue, strategy);
+
+  const rounder = resolveRounder(rounding);
+  const rounded = roundAboveMinimum(rounder, rawPriceUnits, minPriceUnits);
+  const guarded = guardrails ? guardPrice(rounded, guardrails, cost, rounder) : null;
+  const priceUnits = guarded ? guarded.priceUnits : rounded;
+  const profitUnits = priceUnits - cost;
+
+  return {
+    costUnits: cost,
+    strategy: definition.name,
+    markup,
+    rounding: typeof rounding === "string" ? rounding : rounder.name || "custom",
+    rawPriceUnits,
+    priceUnits,
+    roundingDeltaUnits: priceUnits - rawPriceUnits,
+    profitUnits,
+    marginBps: priceUnits === 0n ? null : divFloor(profitUnits * 10000n, priceUnits),
+    markupBps: cost === 0n ? null : divFloor(profitUnits * 10000n, cost),
+    ...(minPriceUnits !== null && { minPriceUnits }),
+    ...(guarded && { guardrail: guarded.guardrail })
+  };
+}
+
+/**
+ * Round a raw price without going below a strategy's minimum: when the rounder lands below it,
+ * the minimum is rounded instead, or kept as is when the rounder takes that below too.
+ * Callers that round a breakdown's rawPriceUnits themselves pass its minPriceUnits.
+ * @param {(priceUnits: bigint) => bigint} round - Rounder
+ * @param {bigint} priceUnits - Price before rounding
+ * @param {bigint|null} [minPriceUnits] - Lowest price allowed (null or absent: plain rounding)
+ * @returns {bigint} Rounded price
+ */
+export function roundAboveMinimum(round, priceUnits, minPriceUnits = null) {
+  const rounded = round(priceUnits);
+  if (minPriceUnits === null || rounded >= minPriceUnits) return rounded;
+  const raised = round(minPriceUnits);
+  return raised >= minPriceUnits ? raised : minPriceUnits;
+}
+
+function guardPrice(priceUnits, { currency, ...spec }, cost, rounder) {
+  return applyGuardrails(priceUnits, defineGuardrails(spec, { currency }), { costUnits: cost, round: rounder });
+}
+
+/**
+ * Check that a cost breakdown (e.g., a landed cost) is in the currency it is priced in
+ * @param {bigint|number|{costUnits: bigint, currency?: string}} costUnits - Cost, or a breakdown
+ * @param {string} [currency] - Currency of the profile or guardrails (nothing to check when absent)
+ * @param {string} label - What is in that currency, for the message (e.g., 'guardrails are')
+ */
+export function checkCostCurrency(costUnits, currency, label) {
+  const costCurrency = costUnits !== null && typeof costUnits === "object" ? costUnits.currency : undefined;
+  if (costCurrency === undefined || currency === undefined || costCurrency === currency) return;
+  throw new PricingValidationError(`Cost is in ${costCurrency} but the ${label} in ${currency}.`, {
+    field: "currency", value: costCurrency, allowed: [currency]
+  });
+}
+
+function isProfileOptions(markupValue) {
+  return markupValue !== null && typeof markupValue === "object" && "profile" in markupValue;
+}
+
+// Shared by calculatePrice and calculatePriceDetailed: validate inputs and apply the strategy.
+function computeRawPrice(costUnits, markupValue, strategy) {
+  // normalize inputs to BigInt (a breakdown such as a landed cost brings its own costUnits)
+  const cost = toBigInt(costUnits !== null && typeof costUnits === "object" ? costUnits.costUnits : costUnits, "costUnits");
 
   if (cost < 0n) {
-    throw new Error("costUnits cannot be negative.");
+    throw new PricingRangeError("costUnits cannot be negative.", { field: "costUnits", value: cost, min: 0n });
   }
 
-  let priceUnits;
-
-  switch (strategy) {
-    case "margin":
-      // Margin on selling price: price = cost / (1 - margin)
-      if (markup < 0n || markup >= 10000n) {
-        throw new Error("marginBps must be between 0 and 9999 (i.e., < 100%).");
-      }
-      const ONE = 10000n;
-      const denom = ONE - markup;
-      const numerator = cost * ONE;
-      priceUnits = divCeil(numerator, denom);
-      break;
-
-    case "costPlus":
-      // Fixed percentage added to cost: price = cost * (1 + markup)
-      if (markup < 0n) {
-        throw new Error("costPlus markup cannot be negative.");
-      }
-      const markupMultiplier = 10000n + markup;
-      priceUnits = (cost * markupMultiplier) / 10000n;
-      break;
-
-    case "keystone":
-      // Double the cost: price = cost * 2
-      priceUnits = cost * 2n;
-      break;
-
-    case "keystonePlus":
-      // Keystone plus additional percentage: price = cost * 2 * (1 + markup)
-      if (markup < 0n) {
-        throw new Error("keystonePlus markup cannot be negative.");
-      }
-      const keystoneMarkup = 10000n + markup;
-      priceUnits = (cost * 2n * keystoneMarkup) / 10000n;
-      break;
-
-    case "fixedAmount":
-      // Fixed amount added to cost: price = cost + markup
-      if (markup < 0n) {
-        throw new Error("fixedAmount markup cannot be negative.");
-      }
-      priceUnits = cost + markup;
-      break;
-
-    case "targetMargin":
-      // Target margin on cost: price = cost / (1 - margin)
-      if (markup < 0n || markup >= 10000n) {
-        throw new Error("targetMargin must be between 0 and 9999 (i.e., < 100%).");
-      }
-      const targetDenom = 10000n - markup;
-      const targetNumerator = cost * 10000n;
-      priceUnits = divCeil(targetNumerator, targetDenom);
-      break;
-
-    case "markupOnCost":
-      // Percentage markup on cost: price = cost * (1 + markup)
-      if (markup < 0n) {
-        throw new Error("markupOnCost cannot be negative.");
-      }
-      const costMarkupMultiplier = 10000n + markup;
-      priceUnits = (cost * costMarkupMultiplier) / 10000n;
-      break;
-
-    default:
-      throw new Error(`Unknown markup strategy: ${strategy}. Supported strategies: margin, costPlus, keystone, keystonePlus, fixedAmount, targetMargin, markupOnCost`);
+  const definition = resolveStrategy(strategy);
+  const markup = normalizeMarkup(definition, markupValue);
+
+  const rawPriceUnits = definition.apply(cost, markup);
+  if (typeof rawPriceUnits !== "bigint") {
+    throw new PricingError(`Markup strategy ${definition.name} must return a bigint price.`, { field: "strategy", value: definition.name });
   }
 
-  // Cosmetic / pricing-rule rounding
-  const rounder = resolveRounder(rounding);
-  priceUnits = rounder(priceUnits);
+  const minPriceUnits = definition.minPrice ? definition.minPrice(cost, markup) : null;
+  return { cost, definition, markup, rawPriceUnits, minPriceUnits };
+}
 
-  return priceUnits;
+function normalizeMarkup(definition, markupValue) {
+  const markup = definition.normalize ? definition.normalize(markupValue) : toMarkupBigInt(markupValue);
+  if (definition.validate) definition.validate(markup);
+  return markup;
 }
 
 /**
@@ -167,3 +238,128 @@ export function calculateFixedAmountPrice(costUnits, fixedAmount, rounding = "id
 export function calculateMarkupOnCostPrice(costUnits, markupBps, rounding = "identity") {
   return calculatePrice(costUnits, markupBps, "markupOnCost", rounding);
 }
+
+/**
+ * Price against competitors (match lowest, beat lowest, or stay in a band around the median),
+ * never below the cost-based minimum, with the constraint that set the price.
+ * Cosmetic rounding applies after the rule: use a rounder that goes down (e.g., 'floorStep5')
+ * when the price must not end up above the competition; `meetsRule` reports whether it did.
+ * A rounder that takes the price below the cost-based minimum is undone, as in calculatePrice:
+ * the minimum is rounded instead (`raisedToFloor`). Guardrails apply last.
+ * @param {bigint|number} costUnits - Cost in smallest currency units
+ * @param {Object} rule - competitors, rule, beatBps/beatUnits, bandBps and floor (see defineCompetitiveRule)
+ * @param {string|function} rounding - Rounding strategy
+ * @param {Object} [guardrails] - Guardrail spec plus `currency` (see calculatePriceDetailed)
+ * @returns {PriceBreakdown & {competition: CompetitivePriceDetails & {raisedToFloor: boolean, meetsRule: boolean}}} - Breakdown
+ */
+export function calculateCompetitivePrice(costUnits, rule, rounding = "identity", guardrails) {
+  const breakdown = calculatePriceDetailed(costUnits, rule, "competitive", rounding, guardrails);
+  const competition = explainCompetitivePrice(breakdown.costUnits, breakdown.markup);
+  const { priceUnits } = breakdown;
+  return {
+    ...breakdown,
+    competition: {
+      ...competition,
+      raisedToFloor: resolveRounder(rounding)(breakdown.rawPriceUnits) < competition.floorPriceUnits,
+      meetsRule: priceUnits <= competition.maxPriceUnits && (competition.minPriceUnits === null || priceUnits >= competition.minPriceUnits)
+    }
+  };
+}
+
+function unsupportedReverse(definition) {
+  return new PricingError(`Markup strategy ${definition.name} does not support reverse pricing.`, {
+    code: ERROR_CODES.UNSUPPORTED, field: "strategy", value: definition.name
+  });
+}
+
+function toUnits(value, name) {
+  const units = toBigInt(value, name);
+  if (units < 0n) {
+    throw new PricingRangeError(`${name} cannot be negative.`, { field: name, value: units, min: 0n });
+  }
+  return units;
+}
+
+/**
+ * Reverse pricing: solve for the markup a shelf price represents under a strategy.
+ *
+ * The result is the exact ratio rounded opposite to the forward calculator, so the
+ * round-trip is stable: for any price the forward calculator can produce,
+ * calculatePrice(cost, implied, strategy) === price (before cosmetic rounding).
+ *  - ceiling strategies ('margin', 'targetMargin') round the implied margin DOWN
+ *  - floor strategies ('costPlus', 'markupOnCost', 'keystonePlus') round the implied markup UP
+ *  - 'fixedAmount' is exact
+ * A price below cost yields a negative markup.
+ *
+ * @param {bigint|number} priceUnits - Shelf price in smallest currency units
+ * @param {bigint|number} costUnits - Cost in smallest currency units
+ * @param {string|Object} strategy - Markup strategy (default: 'margin')
+ * @returns {bigint} - Markup in the strategy's unit (basis points or smallest units)
+ */
+export function calculateImpliedMarkup(priceUnits, costUnits, strategy = "margin") {
+  const price = toUnits(priceUnits, "priceUnits");
+  const cost = toUnits(costUnits, "costUnits");
+  const definition = resolveStrategy(strategy);
+
+  if (typeof definition.solveMarkup !== "function") {
+    throw unsupportedReverse(definition);
+  }
+  if (definition.markupUnit === "bps" && (price === 0n || cost === 0n)) {
+    throw new PricingRangeError("priceUnits and costUnits must be positive to solve a percentage markup.", {
+      field: price === 0n ? "priceUnits" : "costUnits", value: 0n, min: 1n
+    });
+  }
+
+  return definition.solveMarkup(price, cost);
+}
+
+/**
+ * Implied margin on selling price in basis points, rounded down
+ * @param {bigint|number} priceUnits - Shelf price in smallest currency units
+ * @param {bigint|number} costUnits - Cost in smallest currency units
+ * @returns {bigint} - Margin in basis points (e.g., 3000n for 30%)
+ */
+export function calculateImpliedMargin(priceUnits, costUnits) {
+  return calculateImpliedMarkup(priceUnits, costUnits, "margin");
+}
+
+/**
+ * Implied markup on cost in basis points, rounded up
+ * @param {bigint|number} priceUnits - Shelf price in smallest currency units
+ * @param {bigint|number} costUnits - Cost in smallest currency units
+ * @returns {bigint} - Markup in basis points (e.g., 2500n for 25%)
+ */
+export function calculateImpliedMarkupOnCost(priceUnits, costUnits) {
+  return calculateImpliedMarkup(priceUnits, costUnits, "costPlus");
+}
+
+/**
+ * Reverse pricing: the maximum acceptable cost for a target price.
+ *
+ * Returns the largest cost whose forward price (before cosmetic rounding) does not
+ * exceed `priceUnits`, i.e. calculatePrice(maxCost, markup, strategy) <= priceUnits
+ * and calculatePrice(maxCost + 1, markup, strategy) > priceUnits.
+ *
+ * @param {bigint|number} priceUnits - Target price in smallest currency units
+ * @param {bigint|number} markupValue - Markup based on strategy
+ * @param {string|Object} strategy - Markup strategy (default: 'margin')
+ * @returns {bigint} - Maximum cost in smallest currency units
+ */
+export function calculateMaxCost(priceUnits, markupValue, strategy = "margin") {
+  const price = toUnits(priceUnits, "priceUnits");
+  const definition = resolveStrategy(strategy);
+
+  if (typeof definition.solveMaxCost !== "function") {
+    throw unsupportedReverse(definition);
+  }
+
+  const markup = normalizeMarkup(definition, markupValue);
+
+  const maxCost = definition.solveMaxCost(price, markup);
+  if (maxCost < 0n) {
+    throw new PricingError(`No non-negative cost reaches a price of ${price} with ${definition.name} markup ${markup}.`, {
+      code: ERROR_CODES.NO_SOLUTION, field: "priceUnits", value: price
+    });
+  }
+  return maxCost;
+}
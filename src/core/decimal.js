@@ -0,0 +1,137 @@
+// Exact decimal parsing for BigInt amounts (no floating-point multiplication)
+import { divRound, ROUNDING_MODES, unknownRoundingMode } from "./math.js";
+import { PricingValidationError, PricingRangeError, ERROR_CODES } from "../errors.js";
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+export const MAX_EXPONENT = 1000;
+
+function invalidAmount(message, value) {
+  return new PricingValidationError(message, { code: ERROR_CODES.INVALID_AMOUNT, value });
+}
+
+/**
+ * Group and decimal separators used by a locale
+ * @param {string} locale - BCP 47 locale (e.g., 'de-DE')
+ * @returns {{group: string, decimal: string}} Separators (e.g., { group: '.', decimal: ',' })
+ */
+export function getLocaleSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  const group = parts.find((p) => p.type === "group");
+  const decimal = parts.find((p) => p.type === "decimal");
+  return { group: group ? group.value : ",", decimal: decimal ? decimal.value : "." };
+}
+
+// Locales that group lakhs and crores (e.g., en-IN: "12,34,567")
+function usesIndianGrouping(locale) {
+  return /^\d{1,2}\D\d{2}\D\d{3}$/.test(new Intl.NumberFormat(locale).format(1234567).replace(/\p{Nd}/gu, "0"));
+}
+
+// "1,234,567" everywhere; "12,34,567" only in locales that group that way
+const WESTERN_GROUPS = (chunks) => /^\d{1,3}$/.test(chunks[0]) && chunks.slice(1).every((c) => /^\d{3}$/.test(c));
+const INDIAN_GROUPS = (chunks) => /^\d{1,2}$/.test(chunks[0])
+  && chunks.slice(1, -1).every((c) => /^\d{2}$/.test(c))
+  && /^\d{3}$/.test(chunks[chunks.length - 1]);
+
+// Strip group separators and turn the decimal separator into "."
+function normalizeDecimalString(input, { locale, decimalSeparator, groupSeparator } = {}) {
+  let text = input.trim();
+  let decimal = decimalSeparator;
+  let group = groupSeparator;
+  const indian = Boolean(locale) && usesIndianGrouping(locale);
+
+  if (locale) {
+    const separators = getLocaleSeparators(locale);
+    if (decimal === undefined) decimal = separators.decimal;
+    if (group === undefined) group = separators.group;
+  }
+
+  if (group) {
+    // Locales that group with (narrow) no-break spaces are often typed with plain spaces
+    const groups = /^\s$/.test(group) ? [group, " ", "\u00a0", "\u202f"] : [group];
+    groups.forEach((g) => {
+      text = text.split(g).join(group);
+    });
+
+    // Groups after the first hold 3 digits ("1.234,56"; "12,34,567.50" in en-IN), so "2.50" in
+    // de-DE or "1,50" in en-US is rejected as ambiguous instead of read as 250 or 150
+    const whole = decimal ? text.split(decimal)[0] : text;
+    const chunks = whole.replace(/^[+-]/, "").split(group);
+    if (chunks.length > 1 && !WESTERN_GROUPS(chunks) && !(indian && INDIAN_GROUPS(chunks))) {
+      throw invalidAmount(`Invalid decimal amount: ${input} (ambiguous or misplaced group separator "${group}")`, input);
+    }
+    text = text.split(group).join("");
+  }
+  if (decimal && decimal !== ".") {
+    if (text.includes(".")) {
+      throw invalidAmount(`Invalid decimal amount: ${input} (expected "${decimal}" as the decimal separator)`, input);
+    }
+    text = text.split(decimal).join(".");
+  }
+  return text;
+}
+
+/**
+ * Convert a decimal amount to an exact integer scaled by 10^decimalPlaces.
+ *
+ * Accepts decimal strings ("1234567890123.455", "-0.5", "1e3"), localized strings
+ * with a `locale` or explicit separators ("1.234,56" with 'de-DE'), numbers (via their
+ * shortest string form, so 2.675 means 2.675) and bigints (whole amounts).
+ * Inputs with more fractional digits than `decimalPlaces` throw unless `rounding`
+ * names one of ROUNDING_MODES.
+ *
+ * @param {string|number|bigint} value - Decimal amount
+ * @param {number} decimalPlaces - Target scale (e.g., 2 for cents)
+ * @param {Object} [options]
+ * @param {string} [options.rounding] - Rounding mode for excess digits (e.g., 'halfUp', 'halfEven')
+ * @param {string} [options.locale] - Locale for parsing separators (e.g., 'de-DE', 'en-IN')
+ * @param {string} [options.decimalSeparator] - Explicit decimal separator (overrides locale)
+ * @param {string} [options.groupSeparator] - Explicit group separator (overrides locale)
+ * @returns {bigint} Scaled amount (e.g., 123456n for "1.234,56" at 2 places)
+ */
+export function decimalToUnits(value, decimalPlaces, { rounding, ...format } = {}) {
+  if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0) {
+    throw new PricingRangeError(`decimalPlaces must be a non-negative integer, got: ${decimalPlaces}`, {
+      field: "decimalPlaces", value: decimalPlaces, min: 0
+    });
+  }
+  if (rounding !== undefined && !ROUNDING_MODES.includes(rounding)) {
+    throw unknownRoundingMode(rounding);
+  }
+
+  const scale = 10n ** BigInt(decimalPlaces);
+  if (typeof value === "bigint") return value * scale;
+
+  let text;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw invalidAmount(`Invalid decimal amount: ${value}`, value);
+    text = String(value);
+  } else if (typeof value === "string") {
+    text = normalizeDecimalString(value, format);
+  } else {
+    throw invalidAmount(`Expected a decimal string, number or bigint, got: ${typeof value}`, value);
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw invalidAmount(`Invalid decimal amount: ${value}`, value);
+  }
+  const [, sign, whole, fraction = "", exponent = "0"] = match;
+  if (Math.abs(Number(exponent)) > MAX_EXPONENT) {
+    throw invalidAmount(`Decimal exponent out of range: ${value}`, value);
+  }
+
+  // value = digits * 10^(exponent - fraction.length)
+  const digits = BigInt(whole + fraction || "0");
+  const signed = sign === "-" ? -digits : digits;
+  const shift = Number(exponent) - fraction.length + decimalPlaces;
+
+  if (shift >= 0) return signed * 10n ** BigInt(shift);
+
+  const divisor = 10n ** BigInt(-shift);
+  if (digits % divisor !== 0n && rounding === undefined) {
+    throw new PricingValidationError(`${value} has more than ${decimalPlaces} decimal places; pass a rounding mode to round it.`, {
+      code: ERROR_CODES.INVALID_AMOUNT, value, decimalPlaces
+    });
+  }
+  return divRound(signed, divisor, rounding || "halfUp");
+}
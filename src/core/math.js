@@ -1,7 +1,71 @@
 // Integer-safe helpers using BigInt
+import { PricingError, PricingValidationError, ERROR_CODES } from "../errors.js";
+
+// floor(num / den) for BigInt (BigInt division truncates toward zero)
+export const divFloor = (num, den) => {
+  const q = num / den;
+  return num % den !== 0n && (num < 0n) !== (den < 0n) ? q - 1n : q;
+};
+
+// BigInt(value) for integer inputs, reporting bad input (NaN, fractions, text) against `field`.
+// Strings must be plain decimal integers ("12", "-3"): no hex, whitespace or empty strings.
+export const toBigInt = (value, field) => {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "string" && !/^[+-]?\d+$/.test(value)) {
+    throw new PricingValidationError(`${field} must be an integer, got: ${value}`, { field, value });
+  }
+  try {
+    return BigInt(value);
+  } catch (error) {
+    throw new PricingValidationError(`${field} must be an integer, got: ${value}`, { field, value, cause: error });
+  }
+};
 
 // ceil(num / den) for BigInt
-export const divCeil = (num, den) => (num + den - 1n) / den;
+export const divCeil = (num, den) => -divFloor(-num, den);
 
 // nearest integer (ties up)
 export const divNearest = (num, den) => (num + den / 2n) / den;
+
+// Rounding modes understood by divRound (and the step rounders built on it)
+//  - ceil / floor: toward +∞ / -∞
+//  - towardZero: truncate
+//  - halfUp / halfDown: nearest, ties toward +∞ / -∞
+//  - halfEven: nearest, ties to the even quotient (banker's rounding)
+export const ROUNDING_MODES = ["ceil", "floor", "towardZero", "halfUp", "halfDown", "halfEven"];
+
+// Error for a mode outside ROUNDING_MODES
+export const unknownRoundingMode = (mode, field = "rounding") => new PricingValidationError(
+  `Unknown rounding mode: ${mode}. Supported modes: ${ROUNDING_MODES.join(", ")}`,
+  { code: ERROR_CODES.UNKNOWN_ROUNDING_MODE, field, value: mode, allowed: ROUNDING_MODES }
+);
+
+// num / den rounded with an explicit mode, for BigInt
+export const divRound = (num, den, mode = "halfUp") => {
+  if (den === 0n) throw new PricingError("Division by zero.", { code: ERROR_CODES.DIVISION_BY_ZERO });
+  if (den < 0n) {
+    num = -num;
+    den = -den;
+  }
+  const q = divFloor(num, den);
+  const r = num - q * den; // 0 <= r < den
+  if (r === 0n) return q;
+
+  switch (mode) {
+    case "ceil":
+      return q + 1n;
+    case "floor":
+      return q;
+    case "towardZero":
+      return num < 0n ? q + 1n : q;
+    case "halfUp":
+      return 2n * r >= den ? q + 1n : q;
+    case "halfDown":
+      return 2n * r > den ? q + 1n : q;
+    case "halfEven":
+      if (2n * r !== den) return 2n * r > den ? q + 1n : q;
+      return q % 2n === 0n ? q : q + 1n;
+    default:
+      throw unknownRoundingMode(mode);
+  }
+};
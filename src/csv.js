@@ -0,0 +1,222 @@
+/**
+ * CSV import/export for repricing price lists
+ *
+ * Rows are read from a header-mapped CSV, priced through the catalog API and written
+ * back with raw price, rounded price, realized margin and error columns appended.
+ * Amounts are exact: costs are parsed with decimalToUnits and prices written with
+ * toDecimalString, using the configured decimal separator on both sides.
+ */
+
+import { toDecimalString } from './currency.js';
+import { streamCatalogPrices } from './catalog.js';
+import { PricingValidationError, ERROR_CODES } from './errors.js';
+
+const csvError = (message, details) => new PricingValidationError(message, { ...details, code: ERROR_CODES.INVALID_CSV });
+
+/**
+ * Column names for each field. Input fields are read from these headers; output
+ * fields are written to them (overwriting a column of the same name, so an output
+ * file can be repriced again).
+ * @typedef {Object} CsvColumns
+ * @property {string} [sku='sku']
+ * @property {string} [cost='cost'] - Cost in major units (e.g., "2.50")
+ * @property {string} [currency='currency']
+ * @property {string} [strategy='strategy']
+ * @property {string} [markup='markup'] - "30%", bps ("3000") or a major-unit amount for units strategies
+ * @property {string} [rounding='rounding'] - Rounder name
+ * @property {string} [profile='profile'] - Pricing profile name
+ * @property {string} [currentPrice='current_price'] - Current shelf price, for the maxChange guardrail
+ * @property {string} [mapPrice='map_price'] - Minimum advertised price
+ * @property {string} [rawPrice='raw_price'] - Output: price before cosmetic rounding
+ * @property {string} [price='price'] - Output: rounded price
+ * @property {string} [margin='margin_pct'] - Output: realized margin in percent (2 decimals)
+ * @property {string} [guardrail='guardrail'] - Output: guardrail that set the price, if any
+ * @property {string} [error='error'] - Output: error message for rows that failed
+ * @property {string} [errorField='error_field'] - Output: field that caused the error
+ */
+export const DEFAULT_CSV_COLUMNS = Object.freeze({
+  sku: 'sku',
+  cost: 'cost',
+  currency: 'currency',
+  strategy: 'strategy',
+  markup: 'markup',
+  rounding: 'rounding',
+  profile: 'profile',
+  currentPrice: 'current_price',
+  mapPrice: 'map_price',
+  rawPrice: 'raw_price',
+  price: 'price',
+  margin: 'margin_pct',
+  guardrail: 'guardrail',
+  error: 'error',
+  errorField: 'error_field'
+});
+
+const INPUT_FIELDS = ['sku', 'cost', 'currency', 'strategy', 'markup', 'rounding', 'profile', 'currentPrice', 'mapPrice'];
+const OUTPUT_FIELDS = ['rawPrice', 'price', 'margin', 'guardrail', 'error', 'errorField'];
+
+function checkDelimiter(delimiter) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new PricingValidationError(`CSV delimiter must be a single character other than a quote or newline, got: ${JSON.stringify(delimiter)}`, {
+      field: 'delimiter', value: delimiter
+    });
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter (e.g., ';' or '\t')
+ * @returns {string[][]} Rows of fields; blank lines are skipped
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  checkDelimiter(delimiter);
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else field += char;
+      i++;
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      i++;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i++;
+    }
+  }
+  if (quoted) {
+    throw csvError(`Unterminated quoted field in CSV row ${rows.length + 1}.`, { row: rows.length + 1 });
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Write rows as CSV text, quoting fields that contain the delimiter, quotes or newlines
+ * @param {Array<Array<*>>} rows - Rows of fields (null/undefined become empty)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {string} CSV text with a trailing newline
+ */
+export function stringifyCsv(rows, { delimiter = ',' } = {}) {
+  checkDelimiter(delimiter);
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escape).join(delimiter)).join('\n') + (rows.length ? '\n' : '');
+}
+
+function withSeparator(decimal, separator) {
+  return separator === '.' ? decimal : decimal.replace('.', separator);
+}
+
+/**
+ * Reprice a CSV price list. Each row becomes a catalog item (blank cells fall back to
+ * the defaults) and is written back with the output columns filled in; rows that fail
+ * keep their input and carry the error message and field instead of a price.
+ * @param {string} text - Input CSV with a header row
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter for input and output
+ * @param {string} [options.decimalSeparator='.'] - Decimal separator for costs, markups and output amounts
+ * @param {CsvColumns} [options.columns] - Header names, merged over DEFAULT_CSV_COLUMNS
+ * @param {string} [options.currency='USD'] - Default currency
+ * @param {string} [options.strategy='margin'] - Default strategy
+ * @param {*} [options.markup=0] - Default markup (value or "30%")
+ * @param {string} [options.rounding='identity'] - Default rounder name
+ * @param {string} [options.profile] - Default pricing profile
+ * @param {Object} [options.guardrails] - Guardrails for every row (see priceCatalog)
+ * @param {string} [options.costRounding] - Rounding mode for costs with too many decimals (default: reject)
+ * @returns {Promise<{csv: string, total: number, priced: number, failed: number}>} Output CSV and counts
+ */
+export async function repriceCsv(text, { delimiter = ',', decimalSeparator = '.', columns = {}, ...defaults } = {}) {
+  const names = { ...DEFAULT_CSV_COLUMNS, ...columns };
+  const [header, ...records] = parseCsv(text, { delimiter });
+  if (!header) {
+    throw csvError('CSV input is empty; expected a header row.');
+  }
+
+  const position = (field) => header.indexOf(names[field]);
+  if (position('cost') === -1) {
+    throw csvError(`CSV header has no cost column "${names.cost}". Map it with columns: { cost: '<header>' }.`, { field: 'cost', value: names.cost });
+  }
+
+  const outputHeader = [...header];
+  const outputIndex = {};
+  OUTPUT_FIELDS.forEach((field) => {
+    let index = outputHeader.indexOf(names[field]);
+    if (index === -1) index = outputHeader.push(names[field]) - 1;
+    outputIndex[field] = index;
+  });
+
+  function* items() {
+    for (const record of records) {
+      const item = {};
+      INPUT_FIELDS.forEach((field) => {
+        const index = position(field);
+        const value = index === -1 ? '' : (record[index] ?? '').trim();
+        if (value !== '') item[field] = value;
+      });
+      yield item;
+    }
+  }
+
+  const rows = [outputHeader];
+  let failed = 0;
+  const format = decimalSeparator === '.' ? {} : { decimalSeparator };
+  for await (const entry of streamCatalogPrices(items(), { ...defaults, costFormat: format })) {
+    const row = [...records[entry.index]];
+    while (row.length < outputHeader.length) row.push('');
+    OUTPUT_FIELDS.forEach((field) => {
+      row[outputIndex[field]] = '';
+    });
+
+    if (entry.ok) {
+      const { currency, rawPriceUnits, priceUnits, marginBps, guardrail } = entry.result;
+      row[outputIndex.rawPrice] = withSeparator(toDecimalString(rawPriceUnits, currency), decimalSeparator);
+      row[outputIndex.price] = withSeparator(toDecimalString(priceUnits, currency), decimalSeparator);
+      row[outputIndex.margin] = marginBps === null ? '' : withSeparator(toDecimalString(marginBps, { decimalPlaces: 2 }), decimalSeparator);
+      row[outputIndex.guardrail] = guardrail ? guardrail.reason : '';
+    } else {
+      failed++;
+      row[outputIndex.error] = entry.error.message;
+      row[outputIndex.errorField] = entry.error.field || '';
+    }
+    rows.push(row);
+  }
+
+  return {
+    csv: stringifyCsv(rows, { delimiter }),
+    total: records.length,
+    priced: records.length - failed,
+    failed
+  };
+}
@@ -5,6 +5,8 @@
  */
 
 import currencyCodes from 'currency-codes';
+import { decimalToUnits } from './core/decimal.js';
+import { PricingValidationError, UnknownCurrencyError } from './errors.js';
 
 /**
  * Currency configuration object
@@ -64,61 +66,169 @@ export const CURRENCIES = (() => {
 
 /**
  * Convert a decimal amount to the smallest currency unit (e.g., dollars to cents)
- * @param {number} amount - Amount in base currency (e.g., 2.50 for $2.50)
+ *
+ * Conversion is exact: decimal strings are parsed digit by digit, never multiplied as floats.
+ * Strings with more fractional digits than the currency allows throw unless `options.rounding`
+ * is given. Numbers keep the historical behavior of rounding to the nearest unit ('halfUp').
+ *
+ * @param {string|number|bigint} amount - Amount in base currency (e.g., "2.50", 2.50, "1.234,56")
  * @param {CurrencyConfig|string} currency - Currency config or ISO code
+ * @param {Object} [options]
+ * @param {string} [options.rounding] - Rounding mode for excess digits (see ROUNDING_MODES)
+ * @param {string} [options.locale] - Locale for parsing separators (e.g., 'de-DE')
+ * @param {string} [options.decimalSeparator] - Explicit decimal separator
+ * @param {string} [options.groupSeparator] - Explicit group separator
  * @returns {bigint} Amount in smallest units (e.g., 250n for $2.50)
  */
-export function toSmallestUnit(amount, currency = 'USD') {
+export function toSmallestUnit(amount, currency = 'USD', options = {}) {
   const config = typeof currency === 'string' ? CURRENCIES[currency] : currency;
   if (!config) {
-    throw new Error(`Unknown currency: ${currency}`);
+    throw new UnknownCurrencyError(currency);
   }
   
-  const multiplier = 1 / config.smallestUnit;
-  return BigInt(Math.round(amount * multiplier));
+  const { rounding = typeof amount === 'number' ? 'halfUp' : undefined, ...format } = options;
+  return decimalToUnits(amount, config.decimalPlaces, { rounding, ...format });
 }
 
 /**
  * Convert from smallest currency unit back to decimal amount
  * @param {bigint} units - Amount in smallest units (e.g., 250n for $2.50)
  * @param {CurrencyConfig|string} currency - Currency config or ISO code
- * @returns {number} Amount in base currency (e.g., 2.50 for $2.50)
+ * @returns {number} Amount in base currency (e.g., 2.50 for $2.50); use toDecimalString for exact output
  */
 export function fromSmallestUnit(units, currency = 'USD') {
+  return Number(toDecimalString(units, currency));
+}
+
+/**
+ * Convert smallest units to an exact decimal string (no Number conversion)
+ * @param {bigint|number} units - Amount in smallest units (e.g., 250n for $2.50)
+ * @param {CurrencyConfig|string} currency - Currency config or ISO code
+ * @returns {string} Decimal amount (e.g., "2.50", "-0.005", "1500")
+ */
+export function toDecimalString(units, currency = 'USD') {
   const config = typeof currency === 'string' ? CURRENCIES[currency] : currency;
   if (!config) {
-    throw new Error(`Unknown currency: ${currency}`);
+    throw new UnknownCurrencyError(currency);
   }
   
-  return Number(units) * config.smallestUnit;
+  const { negative, whole, fraction } = splitUnits(toUnitsBigInt(units), config.decimalPlaces);
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function toUnitsBigInt(units) {
+  if (typeof units === 'bigint') return units;
+  const rounded = Math.round(Number(units));
+  if (!Number.isFinite(rounded)) {
+    throw new PricingValidationError(`Invalid amount in smallest units: ${units}`, { field: 'units', value: units });
+  }
+  return BigInt(rounded);
+}
+
+// Split smallest units into sign, whole and zero-padded fraction digit strings
+function splitUnits(units, decimalPlaces) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const scale = 10n ** BigInt(decimalPlaces);
+  return {
+    negative,
+    whole: abs / scale,
+    fraction: decimalPlaces > 0 ? (abs % scale).toString().padStart(decimalPlaces, '0') : ''
+  };
 }
 
 /**
- * Format a price in the specified currency
- * @param {bigint|number} amount - Amount (can be in smallest units or base currency)
+ * Price formatting options
+ * @typedef {Object} FormatOptions
+ * @property {boolean} [inSmallestUnits=false] - Whether the amount is already in smallest units
+ * @property {string} [locale='en-US'] - BCP 47 locale
+ * @property {'symbol'|'narrowSymbol'|'code'|'name'} [display='symbol'] - How to show the currency
+ * @property {boolean} [accounting=false] - Accounting-style negatives, e.g. "($1.50)"
+ */
+
+// Intl formatter for a currency; falls back to plain decimals for codes Intl rejects (e.g., 'LOCAL')
+function createFormatter(config, { locale = 'en-US', display = 'symbol', accounting = false }) {
+  const digits = Math.min(config.decimalPlaces, 20);
+  const base = { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  try {
+    return {
+      native: true,
+      formatter: new Intl.NumberFormat(locale, {
+        ...base,
+        style: 'currency',
+        currency: config.code,
+        currencyDisplay: display,
+        currencySign: accounting ? 'accounting' : 'standard'
+      })
+    };
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    return { native: false, formatter: new Intl.NumberFormat(locale, base) };
+  }
+}
+
+/**
+ * Format a price into parts (like Intl.NumberFormat#formatToParts) without converting
+ * the amount to a Number, so very large or high-precision amounts stay exact.
+ * @param {bigint|number|string} amount - Amount (in smallest units or base currency)
  * @param {CurrencyConfig|string} currency - Currency config or ISO code
- * @param {boolean} inSmallestUnits - Whether the amount is already in smallest units
- * @returns {string} Formatted price string
+ * @param {boolean|FormatOptions} inSmallestUnits - Whether the amount is in smallest units, or an options object
+ * @param {FormatOptions} [options] - Formatting options
+ * @returns {{type: string, value: string}[]} Formatted parts
  */
-export function formatPrice(amount, currency = 'USD', inSmallestUnits = false) {
+export function formatPriceToParts(amount, currency = 'USD', inSmallestUnits = false, options = {}) {
+  if (inSmallestUnits !== null && typeof inSmallestUnits === 'object') {
+    options = inSmallestUnits;
+    inSmallestUnits = Boolean(options.inSmallestUnits);
+  }
   const config = typeof currency === 'string' ? CURRENCIES[currency] : currency;
   if (!config) {
-    throw new Error(`Unknown currency: ${currency}`);
+    throw new UnknownCurrencyError(currency);
   }
   
-  let baseAmount;
-  if (inSmallestUnits) {
-    baseAmount = fromSmallestUnit(amount, config);
-  } else {
-    baseAmount = Number(amount);
+  const units = inSmallestUnits
+    ? toUnitsBigInt(amount)
+    : toSmallestUnit(amount, config, { rounding: 'halfUp' });
+  const { negative, whole, fraction } = splitUnits(units, config.decimalPlaces);
+  const { locale = 'en-US', display = 'symbol', accounting = false } = options;
+  const { native, formatter } = createFormatter(config, { locale, display, accounting });
+  
+  // Intl formats BigInt integers exactly; the fraction digits are substituted afterwards.
+  // A whole part of 0 is formatted as 1 so the sign survives, then swapped back.
+  const template = whole === 0n ? 1n : whole;
+  const plain = new Intl.NumberFormat(locale, { useGrouping: false });
+  const localize = (digitString) => digitString.replace(/\d/g, (d) => plain.format(Number(d)));
+  
+  let parts = formatter.formatToParts(negative ? -template : template).map((part) => {
+    if (part.type === 'fraction') return { ...part, value: localize(fraction) };
+    if (part.type === 'integer' && whole === 0n) return { ...part, value: localize('0') };
+    return part;
+  });
+  
+  if (!native) {
+    const label = display === 'code' ? config.code : display === 'name' ? (config.currency || config.code) : config.symbol;
+    const [sign, rest] = parts[0] && parts[0].type === 'minusSign' ? [[parts[0]], parts.slice(1)] : [[], parts];
+    parts = accounting && negative
+      ? [{ type: 'literal', value: '(' }, { type: 'currency', value: label }, ...rest, { type: 'literal', value: ')' }]
+      : [...sign, { type: 'currency', value: label }, ...rest];
+  } else if (display === 'symbol' && config.symbol && config.symbol !== config.code) {
+    // Intl falls back to the ISO code when it has no symbol; prefer ours (e.g., KWD -> د.ك)
+    parts = parts.map((part) => (part.type === 'currency' && part.value === config.code ? { ...part, value: config.symbol } : part));
   }
   
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: config.code,
-    minimumFractionDigits: config.decimalPlaces,
-    maximumFractionDigits: config.decimalPlaces
-  }).format(baseAmount);
+  return parts;
+}
+
+/**
+ * Format a price in the specified currency
+ * @param {bigint|number|string} amount - Amount (can be in smallest units or base currency)
+ * @param {CurrencyConfig|string} currency - Currency config or ISO code
+ * @param {boolean|FormatOptions} inSmallestUnits - Whether the amount is already in smallest units, or an options object
+ * @param {FormatOptions} [options] - Locale, currency display and accounting options
+ * @returns {string} Formatted price string
+ */
+export function formatPrice(amount, currency = 'USD', inSmallestUnits = false, options = {}) {
+  return formatPriceToParts(amount, currency, inSmallestUnits, options).map((part) => part.value).join('');
 }
 
 /**
@@ -130,7 +240,7 @@ export function formatPrice(amount, currency = 'USD', inSmallestUnits = false) {
 export function getStepSize(stepAmount, currency = 'USD') {
   const config = typeof currency === 'string' ? CURRENCIES[currency] : currency;
   if (!config) {
-    throw new Error(`Unknown currency: ${currency}`);
+    throw new UnknownCurrencyError(currency);
   }
   
   return toSmallestUnit(stepAmount, config);
@@ -0,0 +1,156 @@
+/**
+ * Error classes for the pricing engine
+ *
+ * Every error thrown by the library is a PricingError with a stable `code` (see ERROR_CODES)
+ * and, where it applies, structured details as own properties:
+ *  - field   - input that was rejected (e.g., 'marginBps', 'currency', 'cost')
+ *  - value   - the rejected value
+ *  - allowed - accepted values (e.g., registered strategy names)
+ *  - min/max - accepted range (inclusive)
+ *
+ *   try {
+ *     calculatePrice(250n, 12000, 'margin');
+ *   } catch (error) {
+ *     if (error.code === 'OUT_OF_RANGE') console.log(error.field, error.min, error.max); // marginBps 0n 9999n
+ *   }
+ *
+ * Messages are for people and may change; branch on `code` or the class instead.
+ */
+
+export const ERROR_CODES = Object.freeze({
+  PRICING_ERROR: 'PRICING_ERROR', // anything not covered below
+  INVALID_INPUT: 'INVALID_INPUT', // malformed or missing input
+  OUT_OF_RANGE: 'OUT_OF_RANGE', // number outside min..max
+  INVALID_AMOUNT: 'INVALID_AMOUNT', // decimal amount that cannot be parsed or has too many decimals
+  UNKNOWN_CURRENCY: 'UNKNOWN_CURRENCY',
+  UNKNOWN_STRATEGY: 'UNKNOWN_STRATEGY',
+  UNKNOWN_ROUNDING: 'UNKNOWN_ROUNDING', // rounder name or rounding rule type
+  UNKNOWN_ROUNDING_MODE: 'UNKNOWN_ROUNDING_MODE', // divRound modes: ceil, floor, halfUp, ...
+  UNKNOWN_PROFILE: 'UNKNOWN_PROFILE',
+  UNKNOWN_RULE_NODE: 'UNKNOWN_RULE_NODE',
+  INVALID_ROUNDING_EXPRESSION: 'INVALID_ROUNDING_EXPRESSION',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  INVALID_CSV: 'INVALID_CSV',
+  ALREADY_REGISTERED: 'ALREADY_REGISTERED',
+  UNSUPPORTED: 'UNSUPPORTED', // e.g., reverse pricing for a strategy without solveMarkup
+  DIVISION_BY_ZERO: 'DIVISION_BY_ZERO',
+  NO_SOLUTION: 'NO_SOLUTION', // e.g., no cost reaches a target price
+  MISSING_DEPENDENCY: 'MISSING_DEPENDENCY',
+  PRICE_GUARDRAIL: 'PRICE_GUARDRAIL'
+});
+
+/**
+ * Base class for every error the library throws
+ */
+export class PricingError extends Error {
+  /**
+   * @param {string} message - Description for people
+   * @param {Object} [details] - code plus structured details (field, value, allowed, min, max, ...)
+   * @param {string} [details.code='PRICING_ERROR'] - Stable code (see ERROR_CODES)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { code = ERROR_CODES.PRICING_ERROR, cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    Object.entries(details).forEach(([key, value]) => {
+      if (value !== undefined) this[key] = value;
+    });
+  }
+
+  // Plain object for logs and JSON APIs (bigints as strings)
+  toJSON() {
+    const { name, code, message, stack, cause, ...details } = this;
+    const json = { name: this.name, code: this.code, message: this.message };
+    Object.entries(details).forEach(([key, value]) => {
+      json[key] = typeof value === 'bigint' ? value.toString()
+        : Array.isArray(value) ? value.map((v) => (typeof v === 'bigint' ? v.toString() : v))
+        : value;
+    });
+    return json;
+  }
+}
+
+/**
+ * Invalid input: wrong type, malformed text, missing or unknown field
+ */
+export class PricingValidationError extends PricingError {
+  constructor(message, { code = ERROR_CODES.INVALID_INPUT, ...details } = {}) {
+    super(message, { code, ...details });
+  }
+}
+
+/**
+ * A number outside its accepted range; `min` and `max` are inclusive (either may be absent)
+ */
+export class PricingRangeError extends PricingValidationError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: ERROR_CODES.OUT_OF_RANGE });
+  }
+}
+
+export class UnknownCurrencyError extends PricingValidationError {
+  /**
+   * @param {*} currency - Rejected code
+   * @param {Object} [details] - field (default 'currency'), message
+   */
+  constructor(currency, { field = 'currency', message = `Unknown currency: ${currency}`, ...details } = {}) {
+    super(message, { ...details, code: ERROR_CODES.UNKNOWN_CURRENCY, field, value: currency });
+  }
+}
+
+export class UnknownStrategyError extends PricingValidationError {
+  /**
+   * @param {*} strategy - Rejected name
+   * @param {string[]} allowed - Registered strategy names
+   * @param {Object} [details] - field (default 'strategy')
+   */
+  constructor(strategy, allowed, { field = 'strategy', ...details } = {}) {
+    super(`Unknown markup strategy: ${strategy}. Supported strategies: ${allowed.join(', ')}`, {
+      ...details, code: ERROR_CODES.UNKNOWN_STRATEGY, field, value: strategy, allowed
+    });
+  }
+}
+
+export class UnknownRoundingError extends PricingValidationError {
+  /**
+   * @param {*} rounding - Rejected rounder name or rule type
+   * @param {string[]} allowed - Registered rounder names (or rule types)
+   * @param {Object} [details] - field (default 'rounding'), message
+   */
+  constructor(rounding, allowed, { field = 'rounding', message = `Unknown rounding style: ${rounding}`, ...details } = {}) {
+    super(message, { ...details, code: ERROR_CODES.UNKNOWN_ROUNDING, field, value: rounding, allowed });
+  }
+}
+
+export class UnknownProfileError extends PricingValidationError {
+  /**
+   * @param {*} profile - Rejected profile name
+   * @param {string[]} allowed - Registered profile names
+   */
+  constructor(profile, allowed, { field = 'profile', ...details } = {}) {
+    super(
+      `Unknown pricing profile: ${profile}. ${allowed.length ? `Registered profiles: ${allowed.join(', ')}` : 'No profiles are registered; load a config file first.'}`,
+      { ...details, code: ERROR_CODES.UNKNOWN_PROFILE, field, value: profile, allowed }
+    );
+  }
+}
+
+/**
+ * Add context to an error on its way up: prefix the message and fill in a missing field.
+ * Library errors keep their class and code; anything else (e.g., a TypeError from BigInt())
+ * becomes a PricingValidationError with the original as `cause`.
+ * @param {Error} error - Caught error
+ * @param {Object} [context]
+ * @param {string} [context.prefix] - Text put in front of the message (e.g., 'Pricing profile "spices": ')
+ * @param {string} [context.field] - Field to report when the error has none
+ * @returns {PricingError} Error to throw
+ */
+export function withErrorContext(error, { prefix = '', field } = {}) {
+  if (!(error instanceof PricingError)) {
+    return new PricingValidationError(`${prefix}${error.message}`, { field, cause: error });
+  }
+  error.message = `${prefix}${error.message}`;
+  if (field !== undefined && error.field === undefined) error.field = field;
+  return error;
+}
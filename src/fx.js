@@ -0,0 +1,184 @@
+/**
+ * Foreign exchange utilities for the pricing engine
+ *
+ * Rates are exact: decimal strings ("1.0845") or rationals ({ numerator, denominator }),
+ * never floats. A rate is the price of ONE major unit of the source currency in major
+ * units of the target currency (e.g., USD→INR "83.12").
+ */
+
+import { CURRENCIES } from './currency.js';
+import { divRound, toBigInt, unknownRoundingMode, ROUNDING_MODES } from './core/math.js';
+import { PricingRangeError, PricingValidationError, UnknownCurrencyError } from './errors.js';
+import { decimalToUnits, MAX_EXPONENT } from './core/decimal.js';
+import { calculatePriceDetailed, roundAboveMinimum } from './core/calculator.js';
+import { resolveCurrencyRounder } from './rounding/index.js';
+
+/**
+ * Exact exchange rate
+ * @typedef {Object} Rate
+ * @property {bigint} numerator
+ * @property {bigint} denominator
+ */
+
+/**
+ * Rate table quoted against a base currency
+ * @typedef {Object} RateTable
+ * @property {string} base - Base currency code (e.g., 'USD')
+ * @property {Object<string, string|bigint|Rate|Array>} rates - 1 base = rate target (e.g., { EUR: '0.92' })
+ */
+
+/**
+ * Parse an exchange rate into an exact rational
+ * @param {string|bigint|number|Rate|[bigint, bigint]} rate - "1.0845", "1.5e-7", 83n, { numerator, denominator } or [num, den]
+ * @returns {Rate} Reduced positive rational
+ */
+export function parseRate(rate) {
+  let numerator;
+  let denominator;
+
+  if (Array.isArray(rate)) {
+    [numerator, denominator] = rate.map((part) => toBigInt(part, 'rate'));
+  } else if (rate !== null && typeof rate === 'object') {
+    numerator = toBigInt(rate.numerator, 'rate numerator');
+    denominator = toBigInt(rate.denominator ?? 1n, 'rate denominator');
+  } else if (typeof rate === 'bigint') {
+    numerator = rate;
+    denominator = 1n;
+  } else if (typeof rate === 'string' || typeof rate === 'number') {
+    const text = String(rate).trim();
+    // Keep every digit: "1.0845" -> 4 places, "1.5e-7" (or the number 1.5e-7) -> 8
+    const match = /^[+-]?\d*(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+    const exponent = match && match[2] !== undefined ? Number(match[2]) : 0;
+    const places = match && Math.abs(exponent) <= MAX_EXPONENT ? Math.max(0, (match[1] ?? '').length - exponent) : 0;
+    numerator = decimalToUnits(text, places);
+    denominator = 10n ** BigInt(places);
+  } else {
+    throw new PricingValidationError(`Invalid exchange rate: ${rate}`, { field: 'rate', value: rate });
+  }
+
+  if (numerator <= 0n || denominator <= 0n) {
+    throw new PricingRangeError(`Exchange rate must be positive: ${typeof rate === 'object' ? JSON.stringify(rate, (_, v) => (typeof v === 'bigint' ? v.toString() : v)) : rate}`, {
+      field: 'rate', value: rate
+    });
+  }
+  const divisor = gcd(numerator, denominator);
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+}
+
+function gcd(a, b) {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+function getConfig(currency) {
+  const config = typeof currency === 'string' ? CURRENCIES[currency] : currency;
+  if (!config) {
+    throw new UnknownCurrencyError(currency);
+  }
+  return config;
+}
+
+/**
+ * Derive the exact rate between two currencies from a table quoted against a base
+ * (from→to = rate[to] / rate[from], with the base itself at 1)
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {RateTable} table - Rate table
+ * @returns {Rate} Exact cross rate
+ */
+export function getCrossRate(from, to, table) {
+  if (!table || typeof table.base !== 'string' || !table.rates) {
+    throw new PricingValidationError('Rate table must have a base currency and a rates object.', { field: 'rates', value: table });
+  }
+  const baseRate = (code) => {
+    if (code === table.base) return { numerator: 1n, denominator: 1n };
+    if (!(code in table.rates)) {
+      throw new PricingValidationError(`No exchange rate for ${code} against ${table.base}.`, { field: 'rates', value: code });
+    }
+    return parseRate(table.rates[code]);
+  };
+  const fromRate = baseRate(from);
+  const toRate = baseRate(to);
+  return parseRate({
+    numerator: toRate.numerator * fromRate.denominator,
+    denominator: toRate.denominator * fromRate.numerator
+  });
+}
+
+/**
+ * Convert smallest units between currencies, respecting both currencies' decimals
+ * @param {bigint|number} units - Amount in source smallest units
+ * @param {CurrencyConfig|string} from - Source currency
+ * @param {CurrencyConfig|string} to - Target currency
+ * @param {string|bigint|Rate|RateTable} rate - Direct rate (1 from = rate to) or a rate table
+ * @param {Object} [options]
+ * @param {string} [options.rounding='halfUp'] - Rounding mode for the converted amount
+ * @returns {bigint} Amount in target smallest units
+ */
+export function convertUnits(units, from, to, rate, { rounding = 'halfUp' } = {}) {
+  if (!ROUNDING_MODES.includes(rounding)) throw unknownRoundingMode(rounding);
+  const fromConfig = getConfig(from);
+  const toConfig = getConfig(to);
+  const amount = toBigInt(units, 'units');
+  const { numerator, denominator } = rate && rate.base
+    ? getCrossRate(fromConfig.code, toConfig.code, rate)
+    : parseRate(rate);
+
+  // target = units / 10^fromDp * rate * 10^toDp
+  return divRound(
+    amount * numerator * 10n ** BigInt(toConfig.decimalPlaces),
+    denominator * 10n ** BigInt(fromConfig.decimalPlaces),
+    rounding
+  );
+}
+
+// Rounding for targets given without one: the currency's cash step (5 cents, 50 fils, 1 yen)
+const DEFAULT_TARGET_ROUNDING = { type: 'currencyStep' };
+
+/**
+ * Price in a source currency and publish rounded prices in other currencies in one call.
+ * The unrounded source price is converted, then each currency's own rounder is applied,
+ * so rounding never compounds across currencies.
+ * @param {bigint|number} costUnits - Cost in source smallest units
+ * @param {*} markupValue - Markup amount based on strategy
+ * @param {string|Object} strategy - Markup strategy (default: 'margin')
+ * @param {Object} options
+ * @param {string} [options.currency='USD'] - Source currency
+ * @param {string|function|Object} [options.rounding] - Rounding for the source currency price
+ * @param {RateTable} options.rates - Rate table covering source and targets
+ * @param {string[]|Object<string, string|function|Object>} options.targets - Codes, or code → rounding (name, function or rule
+ *   spec); codes without one are rounded up to the currency's cash step ({ type: 'currencyStep' })
+ * @param {string} [options.conversionRounding='halfUp'] - Rounding mode for conversion
+ * @returns {Object<string, {priceUnits: bigint, rawPriceUnits: bigint, rate: Rate}>} Prices by currency code
+ */
+export function calculateLocalizedPrices(costUnits, markupValue, strategy = 'margin', options = {}) {
+  const { currency = 'USD', rounding, rates, targets = [], conversionRounding = 'halfUp' } = options;
+  const source = getConfig(currency);
+  const { rawPriceUnits, minPriceUnits = null } = calculatePriceDetailed(costUnits, markupValue, strategy, 'identity');
+
+  const targetRounding = Array.isArray(targets)
+    ? Object.fromEntries(targets.map((code) => [code, DEFAULT_TARGET_ROUNDING]))
+    : targets;
+
+  const results = {
+    [source.code]: {
+      rawPriceUnits,
+      priceUnits: roundAboveMinimum(resolveCurrencyRounder(rounding ?? 'identity', source.code), rawPriceUnits, minPriceUnits),
+      rate: { numerator: 1n, denominator: 1n }
+    }
+  };
+
+  Object.entries(targetRounding).forEach(([code, targetRounder]) => {
+    if (code === source.code) return;
+    const rate = getCrossRate(source.code, code, rates);
+    const converted = convertUnits(rawPriceUnits, source, code, rate, { rounding: conversionRounding });
+    const minUnits = minPriceUnits === null ? null : convertUnits(minPriceUnits, source, code, rate, { rounding: 'ceil' });
+    results[code] = {
+      rawPriceUnits: converted,
+      priceUnits: roundAboveMinimum(resolveCurrencyRounder(targetRounder ?? DEFAULT_TARGET_ROUNDING, code), converted, minUnits),
+      rate
+    };
+  });
+
+  return results;
+}
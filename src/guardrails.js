@@ -0,0 +1,297 @@
+/**
+ * Price guardrails: floor, ceiling, minimum margin, MAP and maximum change
+ *
+ * Guardrails run after cosmetic rounding, on the price the shopper sees. Each one turns
+ * into a lower and/or upper bound on that price; when the rounded price falls outside
+ * the tightest bounds, the configured action decides what happens:
+ *  - 'clamp'   (default) use the bound itself
+ *  - 'reround' use the nearest price the rounder can produce inside the bounds
+ *              (falls back to clamping when the rounder has no such price)
+ *  - 'throw'   throw a GuardrailError
+ * Bounds that cannot all be met (e.g., the minimum margin needs more than the maximum
+ * change allows) always throw.
+ */
+
+import { CURRENCIES, toSmallestUnit } from './currency.js';
+import { decimalToUnits } from './core/decimal.js';
+import { divCeil, divFloor, toBigInt } from './core/math.js';
+import {
+  PricingError, PricingValidationError, PricingRangeError, UnknownCurrencyError, ERROR_CODES, withErrorContext
+} from './errors.js';
+
+const ONE = 10000n;
+
+export const GUARDRAIL_ACTIONS = ['clamp', 'reround', 'throw'];
+
+// Guardrail fields as written in specs (amounts in major units, or `<field>Units` for smallest units)
+export const GUARDRAIL_FIELDS = ['minPrice', 'maxPrice', 'mapPrice', 'minMargin', 'currentPrice', 'maxChange', 'onViolation'];
+
+const AMOUNT_FIELDS = ['minPrice', 'maxPrice', 'mapPrice', 'currentPrice'];
+const BPS_FIELDS = ['minMargin', 'maxChange'];
+const SPEC_KEYS = [...GUARDRAIL_FIELDS, ...AMOUNT_FIELDS.map((field) => `${field}Units`), ...BPS_FIELDS.map((field) => `${field}Bps`)];
+
+/**
+ * Normalized guardrails (null for anything unset)
+ * @typedef {Object} Guardrails
+ * @property {bigint|null} minPriceUnits - Lowest price
+ * @property {bigint|null} maxPriceUnits - Highest price
+ * @property {bigint|null} mapPriceUnits - Minimum advertised price (a floor)
+ * @property {bigint|null} minMarginBps - Lowest realized margin on the (net) price after rounding
+ * @property {bigint|null} currentPriceUnits - Current shelf price, for maxChange
+ * @property {bigint|null} maxChangeBps - Largest move up or down from currentPriceUnits
+ * @property {'clamp'|'reround'|'throw'|null} onViolation - Action (null means 'clamp')
+ */
+
+/**
+ * What a guardrail did to a price
+ * @typedef {Object} GuardrailResult
+ * @property {'minPrice'|'maxPrice'|'mapPrice'|'minMargin'|'maxChange'} reason - Binding guardrail
+ * @property {string[]} violated - Every guardrail the rounded price broke
+ * @property {'clamp'|'reround'} action - How the price was brought back in bounds
+ * @property {bigint} originalPriceUnits - Rounded price before guardrails
+ * @property {bigint|null} minUnits - Effective lower bound
+ * @property {bigint|null} maxUnits - Effective upper bound
+ */
+
+/**
+ * Thrown when a price breaks a guardrail with onViolation 'throw', or when guardrails conflict
+ */
+export class GuardrailError extends PricingError {
+  /**
+   * @param {string} message - Description
+   * @param {Object} details
+   * @param {string} details.reason - Guardrail that was broken ('conflict' when bounds cross)
+   * @param {bigint|null} details.priceUnits - Rejected price (null for conflicts)
+   * @param {bigint|null} details.minUnits - Effective lower bound
+   * @param {bigint|null} details.maxUnits - Effective upper bound
+   */
+  constructor(message, { reason, priceUnits = null, minUnits = null, maxUnits = null }) {
+    super(message, { code: ERROR_CODES.PRICE_GUARDRAIL, reason });
+    this.priceUnits = priceUnits;
+    this.minUnits = minUnits;
+    this.maxUnits = maxUnits;
+  }
+}
+
+// `<field>Units` (bigint smallest units) wins over `<field>` (major units, like profile prices)
+function toAmount(spec, field, currency) {
+  const units = spec[`${field}Units`];
+  if (units !== undefined && units !== null) {
+    const value = toBigInt(units, `${field}Units`);
+    if (value < 0n) throw new PricingRangeError(`${field}Units cannot be negative.`, { field: `${field}Units`, value, min: 0n });
+    return value;
+  }
+  const value = spec[field];
+  if (value === undefined || value === null || value === '') return null;
+  let amount;
+  try {
+    amount = toSmallestUnit(typeof value === 'number' ? value : String(value), currency);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${field} `, field });
+  }
+  if (amount < 0n) throw new PricingRangeError(`${field} cannot be negative: ${value}`, { field, value, min: 0n });
+  return amount;
+}
+
+// "25%" or basis points (2500, 2500n, "2500"); `<field>Bps` wins
+function toBps(spec, field) {
+  const value = spec[`${field}Bps`] ?? spec[field];
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  let bps;
+  if (text.endsWith('%')) {
+    bps = decimalToUnits(text.slice(0, -1), 2);
+  } else if (/^\d+$/.test(text)) {
+    bps = BigInt(text);
+  } else {
+    throw new PricingValidationError(`${field} must be a percentage ("25%") or whole basis points (2500), got: ${value}`, { field, value });
+  }
+  if (bps < 0n) throw new PricingRangeError(`${field} cannot be negative: ${value}`, { field, value, min: 0n });
+  return bps;
+}
+
+/**
+ * Validate guardrail settings
+ * @param {Object} [spec]
+ * @param {string|number} [spec.minPrice] - Lowest price in major units (or minPriceUnits)
+ * @param {string|number} [spec.maxPrice] - Highest price in major units (or maxPriceUnits)
+ * @param {string|number} [spec.mapPrice] - Minimum advertised price (MAP) in major units (or mapPriceUnits)
+ * @param {string|number|bigint} [spec.minMargin] - Minimum margin after rounding: "25%" or bps
+ * @param {string|number} [spec.currentPrice] - Current price in major units (or currentPriceUnits)
+ * @param {string|number|bigint} [spec.maxChange] - Largest change vs currentPrice: "10%" or bps
+ * @param {'clamp'|'reround'|'throw'} [spec.onViolation] - Action when a guardrail is broken
+ *   (normalized guardrails are accepted too: minMarginBps / maxChangeBps and the `Units` amounts)
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Currency for amounts
+ * @returns {Guardrails} Normalized guardrails
+ */
+export function defineGuardrails(spec = {}, { currency = 'USD' } = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new PricingValidationError('Guardrails must be an object.', { field: 'guardrails' });
+  }
+  const unknown = Object.keys(spec).filter((key) => !SPEC_KEYS.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`Unknown guardrail field(s) ${unknown.join(', ')}. Supported fields: ${GUARDRAIL_FIELDS.join(', ')}`, {
+      field: unknown[0], allowed: GUARDRAIL_FIELDS
+    });
+  }
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency);
+  }
+  const guardrails = {
+    minPriceUnits: toAmount(spec, 'minPrice', currency),
+    maxPriceUnits: toAmount(spec, 'maxPrice', currency),
+    mapPriceUnits: toAmount(spec, 'mapPrice', currency),
+    minMarginBps: toBps(spec, 'minMargin'),
+    currentPriceUnits: toAmount(spec, 'currentPrice', currency),
+    maxChangeBps: toBps(spec, 'maxChange'),
+    onViolation: spec.onViolation ?? null
+  };
+
+  if (guardrails.minMarginBps !== null && guardrails.minMarginBps >= ONE) {
+    throw new PricingRangeError(`minMargin must be below 100%, got: ${spec.minMargin ?? `${guardrails.minMarginBps} bps`}`, {
+      field: 'minMargin', value: guardrails.minMarginBps, min: 0n, max: ONE - 1n
+    });
+  }
+  if (guardrails.onViolation !== null && !GUARDRAIL_ACTIONS.includes(guardrails.onViolation)) {
+    throw new PricingValidationError(`Unknown onViolation: ${guardrails.onViolation}. Supported actions: ${GUARDRAIL_ACTIONS.join(', ')}`, {
+      field: 'onViolation', value: guardrails.onViolation, allowed: GUARDRAIL_ACTIONS
+    });
+  }
+  const { minPriceUnits, maxPriceUnits, mapPriceUnits } = guardrails;
+  if (maxPriceUnits !== null) {
+    if (minPriceUnits !== null && minPriceUnits > maxPriceUnits) {
+      throw new PricingRangeError(`minPrice ${spec.minPrice ?? minPriceUnits} is above maxPrice ${spec.maxPrice ?? maxPriceUnits}.`, {
+        field: 'minPrice', value: minPriceUnits, max: maxPriceUnits
+      });
+    }
+    if (mapPriceUnits !== null && mapPriceUnits > maxPriceUnits) {
+      throw new PricingRangeError(`mapPrice ${spec.mapPrice ?? mapPriceUnits} is above maxPrice ${spec.maxPrice ?? maxPriceUnits}.`, {
+        field: 'mapPrice', value: mapPriceUnits, max: maxPriceUnits
+      });
+    }
+  }
+  return guardrails;
+}
+
+/**
+ * Layer guardrails: every setting in `overrides` that is not null replaces the one in `base`
+ * @param {Guardrails|null} base - Normalized guardrails (e.g., from a profile)
+ * @param {Guardrails|null} overrides - Normalized guardrails (e.g., per item or per call)
+ * @returns {Guardrails|null} Combined guardrails
+ */
+export function mergeGuardrails(base, overrides) {
+  if (!base || !overrides) return base || overrides || null;
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== null) merged[key] = value;
+  });
+  return merged;
+}
+
+// Smallest price whose net clears the minimum margin: net * (1 - m) >= cost
+function marginFloor(costUnits, minMarginBps, netOf, grossOf) {
+  const net = divCeil(costUnits * ONE, ONE - minMarginBps);
+  let price = grossOf(net);
+  while (netOf(price) < net) price++;
+  return price;
+}
+
+/**
+ * Nearest rounder output within [lower, upper]: the smallest one at or above the lower bound
+ * when the price was too low, otherwise the largest one at or below the upper bound.
+ * Rounders are monotone, so the largest is found by bisection.
+ * @param {(priceUnits: bigint) => bigint} round - Rounder
+ * @param {bigint|null} lower - Lowest allowed price (null: 0)
+ * @param {bigint|null} upper - Highest allowed price (null: none)
+ * @param {boolean} tooLow - Whether the price was below the lower bound
+ * @returns {bigint|null} Rounded price, or null when no rounder output fits
+ */
+export function reround(round, lower, upper, tooLow) {
+  const low = lower ?? 0n;
+  if (tooLow) {
+    const up = round(low);
+    if (up >= low && (upper === null || up <= upper)) return up;
+  }
+  if (upper === null || round(low) > upper) return null;
+  let a = low;
+  let b = upper;
+  while (a < b) {
+    const mid = (a + b + 1n) / 2n;
+    if (round(mid) <= upper) a = mid;
+    else b = mid - 1n;
+  }
+  const price = round(a);
+  return price >= low ? price : null;
+}
+
+/**
+ * Enforce guardrails on a rounded price
+ * @param {bigint} priceUnits - Price after cosmetic rounding
+ * @param {Guardrails|null} guardrails - Normalized guardrails (see defineGuardrails)
+ * @param {Object} [context]
+ * @param {bigint} [context.costUnits] - Cost, required for minMargin
+ * @param {(priceUnits: bigint) => bigint} [context.round] - Rounder, for 'reround'
+ * @param {(priceUnits: bigint) => bigint} [context.netOf] - Price -> net price (for tax-inclusive prices)
+ * @param {(netUnits: bigint) => bigint} [context.grossOf] - Net price -> price
+ * @returns {{priceUnits: bigint, guardrail: GuardrailResult|null}} Final price and what changed it
+ */
+export function applyGuardrails(priceUnits, guardrails, { costUnits = null, round = (units) => units, netOf = (units) => units, grossOf = (units) => units } = {}) {
+  if (!guardrails) return { priceUnits, guardrail: null };
+  const { minPriceUnits, maxPriceUnits, mapPriceUnits, minMarginBps, currentPriceUnits, maxChangeBps } = guardrails;
+
+  const lowers = [];
+  const uppers = [];
+  if (minPriceUnits !== null) lowers.push({ reason: 'minPrice', units: minPriceUnits });
+  if (mapPriceUnits !== null) lowers.push({ reason: 'mapPrice', units: mapPriceUnits });
+  if (minMarginBps !== null) {
+    if (costUnits === null) throw new PricingValidationError('minMargin guardrail needs the cost.', { field: 'costUnits' });
+    lowers.push({ reason: 'minMargin', units: marginFloor(costUnits, minMarginBps, netOf, grossOf) });
+  }
+  if (currentPriceUnits !== null && maxChangeBps !== null) {
+    const down = maxChangeBps >= ONE ? 0n : divCeil(currentPriceUnits * (ONE - maxChangeBps), ONE);
+    lowers.push({ reason: 'maxChange', units: down });
+    uppers.push({ reason: 'maxChange', units: divFloor(currentPriceUnits * (ONE + maxChangeBps), ONE) });
+  }
+  if (maxPriceUnits !== null) uppers.push({ reason: 'maxPrice', units: maxPriceUnits });
+
+  const lower = lowers.reduce((a, b) => (a && a.units >= b.units ? a : b), null);
+  const upper = uppers.reduce((a, b) => (a && a.units <= b.units ? a : b), null);
+  const minUnits = lower ? lower.units : null;
+  const maxUnits = upper ? upper.units : null;
+  if (lower && upper && lower.units > upper.units) {
+    throw new GuardrailError(
+      `Price guardrails conflict: ${lower.reason} needs at least ${lower.units} but ${upper.reason} allows at most ${upper.units}.`,
+      { reason: 'conflict', minUnits, maxUnits }
+    );
+  }
+
+  const violated = [
+    ...lowers.filter((bound) => priceUnits < bound.units),
+    ...uppers.filter((bound) => priceUnits > bound.units)
+  ].map((bound) => bound.reason);
+  if (violated.length === 0) return { priceUnits, guardrail: null };
+
+  const tooLow = lower !== null && priceUnits < lower.units;
+  const binding = tooLow ? lower : upper;
+  const action = guardrails.onViolation || 'clamp';
+  if (action === 'throw') {
+    throw new GuardrailError(
+      `Price ${priceUnits} is ${tooLow ? 'below' : 'above'} the ${binding.reason} guardrail of ${binding.units}.`,
+      { reason: binding.reason, priceUnits, minUnits, maxUnits }
+    );
+  }
+
+  const rerounded = action === 'reround' ? reround(round, minUnits, maxUnits, tooLow) : null;
+  return {
+    priceUnits: rerounded ?? binding.units,
+    guardrail: {
+      reason: binding.reason,
+      violated: [...new Set(violated)],
+      action: rerounded === null ? 'clamp' : 'reround',
+      originalPriceUnits: priceUnits,
+      minUnits,
+      maxUnits
+    }
+  };
+}
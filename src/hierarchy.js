@@ -0,0 +1,182 @@
+/**
+ * Hierarchical pricing rules: department → category → brand → SKU
+ *
+ * A rule tree is a root node (store-wide defaults) with nested children. Each node may set
+ * any of currency, strategy, markup, rounding, tax and the guardrails (minPrice, maxPrice,
+ * mapPrice, minMargin, maxChange, onViolation); every setting is
+ * inherited independently, and the deepest node on the path that sets it wins
+ * (call overrides > SKU > brand > category > department > root > engine defaults).
+ *
+ *   const tree = defineRuleTree({
+ *     rules: { strategy: 'margin', markup: '30%', rounding: 'charm99' },
+ *     children: [{
+ *       id: 'grocery',
+ *       children: [{
+ *         id: 'spices', rules: { markup: '45%', minPrice: '0.99' },
+ *         children: [{ id: 'everest', rules: { rounding: 'charm49or99' }, children: [{ id: 'SKU-1042', rules: { markup: '40%' } }] }]
+ *       }]
+ *     }]
+ *   });
+ *   calculateRulePrice(250n, tree, 'grocery/spices/everest/SKU-1042');
+ *
+ * The effective settings of every node are validated (as a pricing profile) when the tree
+ * is defined, so a bad rule fails up front with the node path in the message.
+ */
+
+import { defineProfile } from './config.js';
+import { calculatePriceDetailed } from './core/calculator.js';
+import { PricingValidationError, ERROR_CODES } from './errors.js';
+
+// Default level labels by depth below the root
+export const RULE_LEVELS = ['department', 'category', 'brand', 'sku'];
+
+const RULE_FIELDS = ['currency', 'strategy', 'markup', 'rounding', 'minPrice', 'maxPrice', 'mapPrice', 'minMargin', 'maxChange', 'onViolation', 'tax'];
+
+/**
+ * Rule node
+ * @typedef {Object} RuleNode
+ * @property {string} id - Unique among its siblings (e.g., 'spices', 'SKU-1042'); may not contain '/'
+ * @property {string} [level] - Label for reports (defaults to RULE_LEVELS by depth)
+ * @property {Object} [rules] - Settings this node sets (see RULE_FIELDS): currency, strategy, markup, rounding, tax, guardrails
+ * @property {RuleNode[]} [children] - Child nodes
+ */
+
+/**
+ * Where an effective setting came from (null when the engine default applies)
+ * @typedef {{node: string, level: string}|null} RuleSource
+ */
+
+/**
+ * Effective rules for a node
+ * @typedef {Object} ResolvedRules
+ * @property {string} path - Node path ('' for the root)
+ * @property {string} level - Level of the resolved node
+ * @property {Object} settings - Effective settings as written in the tree (unset settings omitted)
+ * @property {Object<string, RuleSource>} sources - Node that supplied each setting
+ * @property {PricingProfile} profile - Compiled settings, usable as calculatePrice(cost, { profile })
+ */
+
+function checkNode(node, where) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new PricingValidationError(`Rule node ${where} must be an object.`, { field: 'rules', path: where });
+  }
+  const rules = node.rules || {};
+  const unknown = Object.keys(rules).filter((key) => !RULE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`Rule node ${where} sets unknown field(s) ${unknown.join(', ')}. Supported fields: ${RULE_FIELDS.join(', ')}`, {
+      field: unknown[0], path: where, allowed: RULE_FIELDS
+    });
+  }
+  if (node.children !== undefined && !Array.isArray(node.children)) {
+    throw new PricingValidationError(`Rule node ${where} children must be an array.`, { field: 'children', path: where });
+  }
+}
+
+// Merge one node's rules over the inherited settings, recording where each came from
+function inherit(parent, rules, source) {
+  const settings = { ...parent.settings };
+  const sources = { ...parent.sources };
+  Object.entries(rules).forEach(([field, value]) => {
+    if (value === undefined) return;
+    settings[field] = value;
+    sources[field] = source;
+  });
+  return { settings, sources };
+}
+
+function compileResolved(path, level, { settings, sources }) {
+  return {
+    path,
+    level,
+    settings,
+    sources,
+    profile: defineProfile(path || '(root)', settings, { label: 'Pricing rules' })
+  };
+}
+
+/**
+ * Validate a rule tree and precompute every node's effective rules
+ * @param {RuleNode} root - Root node (its `id` is optional; its rules are store-wide defaults)
+ * @returns {{root: RuleNode, nodes: Map<string, ResolvedRules>}} Rule tree for resolveRules / calculateRulePrice
+ */
+export function defineRuleTree(root) {
+  checkNode(root, '(root)');
+  const nodes = new Map();
+
+  const visit = (node, path, depth, parent) => {
+    const level = depth === 0 ? 'root' : node.level || RULE_LEVELS[depth - 1] || `level${depth}`;
+    const resolved = compileResolved(path, level, inherit(parent, node.rules || {}, { node: path, level }));
+    nodes.set(path, resolved);
+
+    const seen = new Set();
+    (node.children || []).forEach((child, index) => {
+      const where = `${path ? `${path}/` : ''}${child && child.id !== undefined ? child.id : `[${index}]`}`;
+      checkNode(child, where);
+      if (typeof child.id !== 'string' || child.id === '' || child.id.includes('/')) {
+        throw new PricingValidationError(`Rule node ${where} needs a non-empty string id without "/".`, { field: 'id', path: where });
+      }
+      if (seen.has(child.id)) {
+        throw new PricingValidationError(`Rule node ${where} is defined twice.`, { field: 'id', path: where });
+      }
+      seen.add(child.id);
+      visit(child, path ? `${path}/${child.id}` : child.id, depth + 1, resolved);
+    });
+  };
+
+  visit(root, '', 0, { settings: {}, sources: Object.fromEntries(RULE_FIELDS.map((field) => [field, null])) });
+  return { root, nodes };
+}
+
+// 'a/b/c' or ['a', 'b', 'c'] -> 'a/b/c'; a lone id (e.g., a SKU) is looked up anywhere in the tree
+function locate(tree, path) {
+  const key = (Array.isArray(path) ? path : String(path ?? '').split('/')).filter((id) => id !== '').join('/');
+  if (tree.nodes.has(key)) return tree.nodes.get(key);
+
+  if (!key.includes('/')) {
+    const matches = [...tree.nodes.keys()].filter((p) => p.endsWith(`/${key}`));
+    if (matches.length === 1) return tree.nodes.get(matches[0]);
+    if (matches.length > 1) {
+      throw new PricingValidationError(`Rule node id ${key} is ambiguous; use a full path: ${matches.join(', ')}`, {
+        field: 'path', value: key, allowed: matches
+      });
+    }
+  }
+  throw new PricingValidationError(`Unknown rule node: ${key}`, { code: ERROR_CODES.UNKNOWN_RULE_NODE, field: 'path', value: key });
+}
+
+/**
+ * Effective strategy/markup/rounding/limits/tax for a node, and which node set each one
+ * @param {{nodes: Map}} tree - Tree from defineRuleTree
+ * @param {string|string[]} path - 'department/category/brand/sku', an id array, or a unique id
+ * @param {Object} [overrides] - Call-level settings that win over the tree (source level 'override')
+ * @returns {ResolvedRules} Effective rules
+ */
+export function resolveRules(tree, path, overrides) {
+  if (!tree || !(tree.nodes instanceof Map)) {
+    throw new PricingValidationError('resolveRules needs a tree from defineRuleTree().', { field: 'tree' });
+  }
+  const resolved = locate(tree, path);
+  if (!overrides || Object.keys(overrides).length === 0) return resolved;
+
+  checkNode({ rules: overrides }, 'overrides');
+  return compileResolved(resolved.path, resolved.level, inherit(resolved, overrides, { node: null, level: 'override' }));
+}
+
+/**
+ * Price a cost with the rules in effect for a node; the result is a profile price breakdown
+ * (see calculateProfilePrice) plus the node path and the source of each setting.
+ * @param {bigint|number} costUnits - Cost in smallest units of the effective currency
+ * @param {{nodes: Map}} tree - Tree from defineRuleTree
+ * @param {string|string[]} path - Node path or unique id
+ * @param {Object} [overrides] - Call-level settings (see resolveRules)
+ * @param {Object} [guardrails] - Per-item guardrails such as { currentPrice, maxChange } (see calculateProfilePrice)
+ * @returns {ProfilePriceBreakdown & {path: string, sources: Object<string, RuleSource>}} Breakdown
+ */
+export function calculateRulePrice(costUnits, tree, path, overrides, guardrails) {
+  const rules = resolveRules(tree, path, overrides);
+  return {
+    ...calculatePriceDetailed(costUnits, { profile: rules.profile, guardrails }),
+    path: rules.path,
+    sources: rules.sources
+  };
+}
@@ -1,19 +1,114 @@
+import { PricingValidationError } from "./errors.js";
+
 export { 
   calculatePrice, 
+  calculatePriceDetailed,
   calculatePriceWithMargin,
   calculateCostPlusPrice,
   calculateKeystonePrice,
   calculateKeystonePlusPrice,
   calculateFixedAmountPrice,
-  calculateMarkupOnCostPrice
+  calculateMarkupOnCostPrice,
+  calculateCompetitivePrice,
+  calculateImpliedMarkup,
+  calculateImpliedMargin,
+  calculateImpliedMarkupOnCost,
+  calculateMaxCost,
+  roundAboveMinimum
 } from "./core/calculator.js";
-export { rounders, resolveRounder, createCurrencyStepRounder } from "./rounding/index.js";
+export {
+  strategies,
+  registerStrategy,
+  unregisterStrategy,
+  resolveStrategy,
+  getSupportedStrategies,
+  listStrategies
+} from "./strategies/index.js";
+export { defineCompetitiveRule, explainCompetitivePrice, COMPETITIVE_RULES } from "./strategies/competitive.js";
+export {
+  rounders,
+  resolveRounder,
+  resolveCurrencyRounder,
+  createCurrencyStepRounder,
+  roundToStep,
+  floorStep,
+  nearestStep,
+  towardZeroStep,
+  createCharmRounder,
+  defaultStepUnits,
+  compileRoundingRule,
+  registerRoundingRule,
+  compileRoundingExpression,
+  RETAIL_BANDS
+} from "./rounding/index.js";
+export {
+  ERROR_CODES,
+  PricingError,
+  PricingValidationError,
+  PricingRangeError,
+  UnknownCurrencyError,
+  UnknownStrategyError,
+  UnknownRoundingError,
+  UnknownProfileError
+} from "./errors.js";
+export { ROUNDING_MODES, divRound } from "./core/math.js";
+export { decimalToUnits, getLocaleSeparators } from "./core/decimal.js";
 export * from "./currency.js";
+export {
+  addTax,
+  extractTax,
+  getTaxMultiplier,
+  calculateTaxInclusivePrice,
+  calculateInvoiceTax
+} from "./tax.js";
+export {
+  parseRate,
+  getCrossRate,
+  convertUnits,
+  calculateLocalizedPrices
+} from "./fx.js";
+export { priceCatalog, streamCatalogPrices } from "./catalog.js";
+export { parseCsv, stringifyCsv, repriceCsv, DEFAULT_CSV_COLUMNS } from "./csv.js";
+export {
+  profiles,
+  defineProfile,
+  registerProfile,
+  unregisterProfile,
+  resolveProfile,
+  listProfiles,
+  calculateProfilePrice,
+  applyPricingConfig,
+  loadPricingConfig,
+  parseMarkup
+} from "./config.js";
+export { defineRuleTree, resolveRules, calculateRulePrice, RULE_LEVELS } from "./hierarchy.js";
+export { defineTiers, calculateTierPrices, calculateTierTotal, TIER_BASES } from "./tiers.js";
+export { calculateUnitPrice, convertQuantity, parseQuantity, UNITS, DEFAULT_REFERENCE } from "./unitPrice.js";
+export { definePromotion, applyPromotion, PROMOTION_TYPES, PROMOTION_ACTIONS } from "./promotions.js";
+export {
+  createPriceSchedule,
+  schedulePrice,
+  resolveScheduledPrice,
+  getPriceHistory,
+  findScheduleIssues,
+  diffScheduledPrices,
+  toScheduleDate
+} from "./schedule.js";
+export { calculateLandedCost, LANDED_COST_COMPONENTS, DUTY_BASES } from "./landedCost.js";
+export { definePackHierarchy, calculatePackPrices } from "./packs.js";
+export {
+  defineGuardrails,
+  mergeGuardrails,
+  applyGuardrails,
+  GuardrailError,
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_FIELDS
+} from "./guardrails.js";
 
 // Small convenience: percent → bps helper (kept separate from base)
 export const pctToBps = (pctNumber) => {
   if (typeof pctNumber !== "number" || !isFinite(pctNumber)) {
-    throw new Error("pctToBps expects a finite number.");
+    throw new PricingValidationError("pctToBps expects a finite number.", { field: "pctNumber", value: pctNumber });
   }
   return Math.round(pctNumber * 100); // 30 -> 3000
 };
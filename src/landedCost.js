@@ -0,0 +1,204 @@
+/**
+ * Landed cost: what one sellable unit really costs once it is on the shelf
+ *
+ * Builds the unit cost for the calculator from a supplier invoice and the costs that come with it:
+ *  - cost      supplier price per case (or per unit with costPer: 'unit'), in invoiceCurrency
+ *  - rate      FX rate from invoiceCurrency to the landed currency (a direct rate or a rate table)
+ *  - freight   per case (or per unit), landed currency
+ *  - duty      "6.5%" or bps of the customs value: the goods, or goods and freight (dutyOn: 'goodsAndFreight')
+ *  - handling  per case (or per unit), landed currency
+ *  - shrink    "2%" or bps of units lost to spoilage or theft; the case cost is spread over the rest
+ *
+ *   const landed = calculateLandedCost({
+ *     cost: '12.40', invoiceCurrency: 'EUR', rate: '1.0845', unitsPerCase: 12,
+ *     freight: '1.80', duty: '6.5%', handling: '0.60', shrink: '2%'
+ *   });
+ *   landed.costUnits;                                      // 143n
+ *   calculatePriceDetailed(landed, 3000, 'margin', 'charm99');
+ *
+ * Everything is kept exact (FX included) and the unit cost is rounded once, up by default, so
+ * the markup is never applied to an understated cost. Itemized amounts are rounded half up for
+ * reports and may differ from the total by a unit.
+ */
+
+import { CURRENCIES, toSmallestUnit } from './currency.js';
+import { divRound, toBigInt, unknownRoundingMode, ROUNDING_MODES } from './core/math.js';
+import { parseRate, getCrossRate } from './fx.js';
+import { parseMarkup } from './config.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+const ONE = 10000n;
+
+// Components in the order they are itemized
+export const LANDED_COST_COMPONENTS = ['goods', 'freight', 'duty', 'handling', 'shrink'];
+
+// Customs value that duty is charged on
+export const DUTY_BASES = ['goods', 'goodsAndFreight'];
+
+const PER = ['case', 'unit'];
+
+const FIELDS = [
+  'cost', 'costUnits', 'costPer', 'invoiceCurrency', 'rate', 'unitsPerCase', 'freight', 'freightUnits', 'freightPer',
+  'duty', 'dutyOn', 'handling', 'handlingUnits', 'handlingPer', 'shrink'
+];
+
+function getConfig(currency, field) {
+  const config = CURRENCIES[currency];
+  if (!config) {
+    throw new UnknownCurrencyError(currency, { field });
+  }
+  return config;
+}
+
+// `<field>Units` (smallest units) wins over `<field>` (major units); absent -> 0
+function toAmount(spec, field, currency, required = false) {
+  const units = spec[`${field}Units`];
+  if (units === undefined && spec[field] === undefined) {
+    if (required) throw new PricingValidationError(`Landed cost needs ${field}.`, { field });
+    return 0n;
+  }
+  let amount;
+  try {
+    amount = units !== undefined ? toBigInt(units, `${field}Units`) : toSmallestUnit(spec[field], currency);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${field} `, field });
+  }
+  if (amount < 0n) {
+    throw new PricingRangeError(`${field} cannot be negative.`, { field, value: amount, min: 0n });
+  }
+  return amount;
+}
+
+// "6.5%" or bps, from 0 up to (excluding) `max`
+function toBps(value, field, max) {
+  if (value === undefined) return 0n;
+  let bps;
+  try {
+    bps = parseMarkup(value, 'margin');
+  } catch (error) {
+    throw withErrorContext(error, { field });
+  }
+  if (bps < 0n || (max !== undefined && bps >= max)) {
+    throw new PricingRangeError(`${field} must be at least 0%${max !== undefined ? ' and below 100%' : ''}, got: ${value}`, {
+      field, value: bps, min: 0n, ...(max !== undefined && { max: max - 1n })
+    });
+  }
+  return bps;
+}
+
+function toPer(value = 'case', field) {
+  if (!PER.includes(value)) {
+    throw new PricingValidationError(`${field} must be one of ${PER.join(', ')}, got: ${value}`, { field, value, allowed: PER });
+  }
+  return value;
+}
+
+/**
+ * Itemized landed cost
+ * @typedef {Object} LandedCost
+ * @property {bigint} costUnits - Landed cost of one sellable unit (pass the breakdown to calculatePrice)
+ * @property {string} currency - Landed currency
+ * @property {number} unitsPerCase - Units in a case
+ * @property {bigint} caseCostUnits - Landed cost of a case before shrink, rounded half up
+ * @property {bigint} invoiceUnits - Supplier cost of a case, in invoiceCurrency
+ * @property {string} invoiceCurrency - Currency of the supplier invoice
+ * @property {{numerator: bigint, denominator: bigint}} rate - 1 invoiceCurrency = rate currency
+ * @property {bigint} dutyBps - Duty rate
+ * @property {string} dutyOn - Customs value for duty (see DUTY_BASES)
+ * @property {bigint} shrinkBps - Share of units lost
+ * @property {string} rounding - Rounding mode of costUnits
+ * @property {{component: string, caseUnits: bigint, unitUnits: bigint}[]} items - Per case and per sellable
+ *   unit amounts of each component (see LANDED_COST_COMPONENTS), rounded half up
+ */
+
+/**
+ * Build the landed unit cost of an item from its invoice and the costs of getting it to the shelf
+ * @param {Object} spec - Components (see module docs)
+ * @param {string|number} [spec.cost] - Supplier price in invoiceCurrency major units (or costUnits)
+ * @param {'case'|'unit'} [spec.costPer='case'] - What `cost` buys
+ * @param {string} [spec.invoiceCurrency] - Currency of `cost` (default: the landed currency)
+ * @param {string|bigint|Object} [spec.rate] - 1 invoiceCurrency = rate landed currency, or a rate table (see fx.js)
+ * @param {number} [spec.unitsPerCase=1] - Sellable units in a case
+ * @param {string|number} [spec.freight] - Freight (or freightUnits), per freightPer (default 'case')
+ * @param {string|number} [spec.duty] - Duty: "6.5%" or bps
+ * @param {'goods'|'goodsAndFreight'} [spec.dutyOn='goods'] - Customs value for duty
+ * @param {string|number} [spec.handling] - Handling (or handlingUnits), per handlingPer (default 'case')
+ * @param {string|number} [spec.shrink] - Units lost: "2%" or bps, below 100%
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Landed currency (of freight, handling and the result)
+ * @param {string} [options.rounding='ceil'] - Rounding mode for the unit cost (see ROUNDING_MODES)
+ * @returns {LandedCost} Itemized landed cost
+ */
+export function calculateLandedCost(spec, { currency = 'USD', rounding = 'ceil' } = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new PricingValidationError('Landed cost spec must be an object.', { field: 'spec' });
+  }
+  const unknown = Object.keys(spec).filter((key) => !FIELDS.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`Landed cost has unknown field(s) ${unknown.join(', ')}. Supported fields: ${FIELDS.join(', ')}`, {
+      field: unknown[0], allowed: FIELDS
+    });
+  }
+  if (!ROUNDING_MODES.includes(rounding)) throw unknownRoundingMode(rounding);
+
+  const landed = getConfig(currency, 'currency');
+  const invoiceCurrency = spec.invoiceCurrency ?? currency;
+  const invoice = getConfig(invoiceCurrency, 'invoiceCurrency');
+  const { unitsPerCase = 1, dutyOn = 'goods' } = spec;
+  if (!Number.isInteger(unitsPerCase) || unitsPerCase < 1) {
+    throw new PricingRangeError(`unitsPerCase must be a whole number of at least 1, got: ${unitsPerCase}`, {
+      field: 'unitsPerCase', value: unitsPerCase, min: 1
+    });
+  }
+  if (!DUTY_BASES.includes(dutyOn)) {
+    throw new PricingValidationError(`Unknown dutyOn: ${dutyOn}. Supported: ${DUTY_BASES.join(', ')}`, {
+      field: 'dutyOn', value: dutyOn, allowed: DUTY_BASES
+    });
+  }
+
+  let rate = { numerator: 1n, denominator: 1n };
+  if (invoiceCurrency !== currency) {
+    if (spec.rate === undefined) {
+      throw new PricingValidationError(`Landed cost needs a rate from ${invoiceCurrency} to ${currency}.`, { field: 'rate' });
+    }
+    rate = spec.rate && spec.rate.base ? getCrossRate(invoiceCurrency, currency, spec.rate) : parseRate(spec.rate);
+  }
+
+  const units = BigInt(unitsPerCase);
+  const perCase = (amount, field) => (toPer(spec[`${field}Per`], `${field}Per`) === 'unit' ? amount * units : amount);
+  const invoiceUnits = perCase(toAmount(spec, 'cost', invoiceCurrency, true), 'cost');
+  const freightUnits = perCase(toAmount(spec, 'freight', currency), 'freight');
+  const handlingUnits = perCase(toAmount(spec, 'handling', currency), 'handling');
+  const dutyBps = toBps(spec.duty, 'duty');
+  const shrinkBps = toBps(spec.shrink, 'shrink', ONE);
+
+  // Case amounts over a common denominator: landed smallest units = n / den
+  const den = rate.denominator * 10n ** BigInt(invoice.decimalPlaces) * ONE;
+  const goods = invoiceUnits * rate.numerator * 10n ** BigInt(landed.decimalPlaces) * ONE;
+  const freight = freightUnits * den;
+  const handling = handlingUnits * den;
+  const duty = ((goods + (dutyOn === 'goodsAndFreight' ? freight : 0n)) * dutyBps) / ONE; // exact: both are multiples of ONE
+  const caseCost = goods + freight + duty + handling;
+
+  // Spread over the units left after shrink: every component over den * (1 - shrink), plus shrink itself
+  const kept = ONE - shrinkBps;
+  const amounts = { goods: goods * kept, freight: freight * kept, duty: duty * kept, handling: handling * kept, shrink: caseCost * shrinkBps };
+  return {
+    costUnits: divRound(caseCost * ONE, den * kept * units, rounding),
+    currency,
+    unitsPerCase,
+    caseCostUnits: divRound(caseCost, den),
+    invoiceUnits,
+    invoiceCurrency,
+    rate,
+    dutyBps,
+    dutyOn,
+    shrinkBps,
+    rounding,
+    items: LANDED_COST_COMPONENTS.map((component) => ({
+      component,
+      caseUnits: divRound(amounts[component], den * kept),
+      unitUnits: divRound(amounts[component], den * kept * units)
+    }))
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Pack hierarchies: buy by the case, sell by the case, inner pack or each
+ *
+ * A hierarchy lists the pack levels from the largest down, each with how many of the next
+ * level it holds:
+ *
+ *   const packs = definePackHierarchy([
+ *     { name: 'case', contains: 4, sellable: false }, // 4 inners
+ *     { name: 'inner', contains: 6, markup: '25%' },  // 6 eaches
+ *     { name: 'each' }
+ *   ]);
+ *   calculatePackPrices(2000n, packs, { markup: '35%', rounding: 'charm99' });
+ *
+ * The case cost is allocated to every level: a level with n packs per case costs caseCost / n,
+ * rounded with the allocation mode (up by default, so the case is always recovered). Nothing is
+ * lost: `split` gives the exact allocation (some packs carry one unit more) and `leftoverUnits` what
+ * the rounded cost leaves unrecovered (negative when it over-recovers).
+ *
+ * Each sellable level is priced with its own strategy, markup and rounder (or the defaults), and
+ * a larger pack never costs more than the same number of eaches in the next smaller sellable pack:
+ * a price above that is lowered (and marked `capped`) to the highest price its rounder gives at or
+ * below that cap and at or above its cost, so it keeps its ending; when there is none, to the cap itself.
+ * A cap below the pack's cost sells it at a loss: the level is marked `belowCost` (as is any level a
+ * rounder takes below cost), so callers can reprice the smaller pack or stop selling the larger one.
+ */
+
+import { divFloor, divRound, toBigInt, unknownRoundingMode, ROUNDING_MODES } from './core/math.js';
+import { calculatePriceDetailed, roundAboveMinimum } from './core/calculator.js';
+import { resolveCurrencyRounder } from './rounding/index.js';
+import { CURRENCIES } from './currency.js';
+import { parseMarkup } from './config.js';
+import { reround } from './guardrails.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+const ONE = 10000n;
+
+const LEVEL_FIELDS = ['name', 'contains', 'sellable', 'strategy', 'markup', 'rounding'];
+
+/**
+ * Validated pack hierarchy
+ * @typedef {Object} PackHierarchy
+ * @property {Array<{name: string, contains: number|null, units: number, packsPerCase: number, sellable: boolean,
+ *   strategy: *, markup: *, rounding: *}>} levels - Largest first; `units` is the eaches in one pack and
+ *   strategy/markup/rounding are null when the level uses the defaults
+ */
+
+/**
+ * Validate a pack hierarchy
+ * @param {Object[]|{levels: Object[]}} spec - Levels from the largest down: name, contains (how many of the
+ *   next level; not on the last level), sellable (default true), and optional strategy, markup and rounding
+ * @returns {PackHierarchy} Hierarchy for calculatePackPrices
+ */
+export function definePackHierarchy(spec) {
+  const levels = Array.isArray(spec) ? spec : spec && spec.levels;
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new PricingValidationError('Pack hierarchy needs at least one level.', { field: 'levels' });
+  }
+
+  const names = new Set();
+  const compiled = levels.map((level, index) => {
+    const where = `Pack level ${index + 1}`;
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+      throw new PricingValidationError(`${where} must be an object.`, { field: 'levels', level: index });
+    }
+    const unknown = Object.keys(level).filter((key) => !LEVEL_FIELDS.includes(key));
+    if (unknown.length) {
+      throw new PricingValidationError(`${where} sets unknown field(s) ${unknown.join(', ')}. Supported fields: ${LEVEL_FIELDS.join(', ')}`, {
+        field: unknown[0], level: index, allowed: LEVEL_FIELDS
+      });
+    }
+    const { name, contains, sellable = true } = level;
+    if (typeof name !== 'string' || name.length === 0 || names.has(name)) {
+      throw new PricingValidationError(`${where} needs a unique name, got: ${name}`, { field: 'name', value: name, level: index });
+    }
+    names.add(name);
+    const last = index === levels.length - 1;
+    if (last && contains !== undefined) {
+      throw new PricingValidationError(`${where} (${name}) is the smallest pack and cannot set contains.`, { field: 'contains', level: index });
+    }
+    if (!last && (!Number.isInteger(contains) || contains < 1)) {
+      throw new PricingRangeError(`${where} (${name}) contains must be a whole number of at least 1, got: ${contains}`, {
+        field: 'contains', value: contains, min: 1, level: index
+      });
+    }
+    return {
+      name,
+      contains: last ? null : contains,
+      sellable: Boolean(sellable),
+      strategy: level.strategy ?? null,
+      markup: level.markup ?? null,
+      rounding: level.rounding ?? null
+    };
+  });
+  if (!compiled.some((level) => level.sellable)) {
+    throw new PricingValidationError('Pack hierarchy needs at least one sellable level.', { field: 'sellable' });
+  }
+
+  // Eaches per pack, from the smallest level up
+  let units = 1;
+  for (let index = compiled.length - 1; index >= 0; index -= 1) {
+    if (compiled[index].contains !== null) units *= compiled[index].contains;
+    compiled[index].units = units;
+  }
+  compiled.forEach((level) => {
+    level.packsPerCase = compiled[0].units / level.units;
+  });
+  return { levels: compiled };
+}
+
+function resolveHierarchy(hierarchy) {
+  return hierarchy && Array.isArray(hierarchy.levels) && hierarchy.levels.every((level) => Number.isInteger(level.units))
+    ? hierarchy
+    : definePackHierarchy(hierarchy);
+}
+
+/**
+ * Cost and price of one pack level
+ * @typedef {Object} PackPrice
+ * @property {string} name - Level name
+ * @property {number} units - Eaches in one pack
+ * @property {number} packsPerCase - Packs of this level in a case
+ * @property {bigint} costUnits - Allocated cost of one pack (caseCost / packsPerCase, rounded with the allocation mode)
+ * @property {{packs: number, costUnits: bigint}[]} split - Exact allocation: packs * costUnits adds up to the case cost
+ * @property {bigint} leftoverUnits - caseCost - costUnits * packsPerCase (negative when the rounding over-recovers)
+ * @property {boolean} sellable - Whether the level is priced
+ * @property {string|null} strategy - Strategy used (null when not sellable)
+ * @property {bigint|null} rawPriceUnits - Price before rounding
+ * @property {bigint|null} priceUnits - Shelf price after rounding (and capping)
+ * @property {boolean} capped - Whether the price was lowered to the next smaller sellable pack's eaches (see module docs)
+ * @property {boolean} belowCost - Whether priceUnits is below costUnits (e.g., capped under cost)
+ * @property {bigint|null} eachPriceUnits - priceUnits / units, rounded down, for comparing pack sizes
+ * @property {bigint|null} marginBps - Realized margin, rounded down (null if the price is 0)
+ */
+
+/**
+ * Allocate a case cost to every pack level and price the sellable ones
+ * @param {bigint|number} caseCostUnits - Cost of one case (the largest level) in smallest units
+ * @param {PackHierarchy|Object[]} hierarchy - Hierarchy from definePackHierarchy (or levels to validate)
+ * @param {Object} [options]
+ * @param {string|Object} [options.strategy='margin'] - Strategy for levels without their own
+ * @param {*} [options.markup=0] - Markup for levels without their own ("35%", bps, or an amount for units strategies)
+ * @param {*} [options.rounding='identity'] - Rounder for levels without their own: a name, function or rule spec
+ * @param {string} [options.allocation='ceil'] - Rounding mode for allocated pack costs (see ROUNDING_MODES)
+ * @param {string} [options.currency='USD'] - Currency (for amounts and rounding rules)
+ * @returns {{currency: string, caseCostUnits: bigint, allocation: string, levels: PackPrice[]}} Largest level first
+ */
+export function calculatePackPrices(caseCostUnits, hierarchy, {
+  strategy = 'margin', markup = 0, rounding = 'identity', allocation = 'ceil', currency = 'USD'
+} = {}) {
+  const { levels } = resolveHierarchy(hierarchy);
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency);
+  }
+  if (!ROUNDING_MODES.includes(allocation)) throw unknownRoundingMode(allocation, 'allocation');
+  const caseCost = toBigInt(caseCostUnits, 'caseCostUnits');
+  if (caseCost < 0n) {
+    throw new PricingRangeError('caseCostUnits cannot be negative.', { field: 'caseCostUnits', value: caseCost, min: 0n });
+  }
+
+  const rounders = new Map();
+  const priced = levels.map((level) => {
+    const packs = BigInt(level.packsPerCase);
+    const costUnits = divRound(caseCost, packs, allocation);
+    const base = divFloor(caseCost, packs);
+    const extra = Number(caseCost - base * packs);
+    const result = {
+      name: level.name,
+      units: level.units,
+      packsPerCase: level.packsPerCase,
+      costUnits,
+      split: [{ packs: extra, costUnits: base + 1n }, { packs: level.packsPerCase - extra, costUnits: base }].filter((part) => part.packs > 0),
+      leftoverUnits: caseCost - costUnits * packs,
+      sellable: level.sellable,
+      strategy: null,
+      rawPriceUnits: null,
+      priceUnits: null,
+      capped: false,
+      belowCost: false,
+      eachPriceUnits: null,
+      marginBps: null
+    };
+    if (!level.sellable) return result;
+
+    try {
+      const levelStrategy = level.strategy ?? strategy;
+      const levelMarkup = level.markup ?? markup;
+      const parsed = typeof levelMarkup === 'string' ? parseMarkup(levelMarkup, levelStrategy, currency) : levelMarkup;
+      const breakdown = calculatePriceDetailed(costUnits, parsed, levelStrategy);
+      result.strategy = breakdown.strategy;
+      result.rawPriceUnits = breakdown.rawPriceUnits;
+      const round = resolveCurrencyRounder(level.rounding ?? rounding, currency);
+      rounders.set(result, round);
+      result.priceUnits = roundAboveMinimum(round, breakdown.rawPriceUnits, breakdown.minPriceUnits);
+    } catch (error) {
+      throw withErrorContext(error, { prefix: `Pack level ${level.name}: ` });
+    }
+    return result;
+  });
+
+  // Smallest sellable pack first: a larger pack is capped at the eaches it replaces, rounded down
+  // with its own rounder while that stays at or above its cost
+  let smaller = null;
+  for (let index = priced.length - 1; index >= 0; index -= 1) {
+    const level = priced[index];
+    if (!level.sellable) continue;
+    if (smaller !== null) {
+      const maxPriceUnits = smaller.priceUnits * BigInt(level.units / smaller.units);
+      if (level.priceUnits > maxPriceUnits) {
+        level.priceUnits = reround(rounders.get(level), level.costUnits, maxPriceUnits, false) ?? maxPriceUnits;
+        level.capped = true;
+      }
+    }
+    const profitUnits = level.priceUnits - level.costUnits;
+    level.belowCost = profitUnits < 0n;
+    level.eachPriceUnits = divFloor(level.priceUnits, BigInt(level.units));
+    level.marginBps = level.priceUnits === 0n ? null : divFloor(profitUnits * ONE, level.priceUnits);
+    smaller = level;
+  }
+
+  return { currency, caseCostUnits: caseCost, allocation, levels: priced };
+}
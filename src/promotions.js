@@ -0,0 +1,311 @@
+/**
+ * Promotions: sale prices layered on a calculated price
+ *
+ * A promotion takes the regular price (a calculatePrice result, or a calculatePriceDetailed
+ * breakdown, which also supplies the cost) and works out what the shopper pays:
+ *  - percentOff   { percent: '20%' }                 20% off each unit
+ *  - amountOff    { amount: '0.50' }                 50¢ off each unit
+ *  - memberPrice  { price: '3.49' } or { percent }   only when the call says `member: true`
+ *  - buyXGetY     { buy: 2, get: 1, percent: '100%' } every third unit free (or `percent` off)
+ *  - multiBuy     { quantity: 3, price: '10.00' }    "3 for $10"; leftover units at the regular price
+ *
+ * Per-unit sale prices are re-rounded with the promotion's own rounder (e.g., 'floorStep5' so a
+ * rounded sale price never gives less than the advertised discount) and never exceed the regular
+ * price. With a cost, the deal's margin is reported and checked against the cost and the margin
+ * floor: `onViolation: 'flag'` (default) applies the promotion and lists the violations,
+ * 'refuse' leaves the regular price.
+ *
+ *   const promo = definePromotion({ type: 'percentOff', percent: '25%', rounding: 'floorStep5', minMargin: '15%' });
+ *   applyPromotion(calculatePriceDetailed(250n, 3000, 'margin', 'charm99'), promo);
+ */
+
+import { toSmallestUnit } from './currency.js';
+import { divFloor, toBigInt } from './core/math.js';
+import { checkCostCurrency } from './core/calculator.js';
+import { resolveCurrencyRounder } from './rounding/index.js';
+import { parseMarkup } from './config.js';
+import { PricingValidationError, PricingRangeError, withErrorContext } from './errors.js';
+
+const ONE = 10000n;
+
+export const PROMOTION_TYPES = ['percentOff', 'amountOff', 'memberPrice', 'buyXGetY', 'multiBuy'];
+
+export const PROMOTION_ACTIONS = ['flag', 'refuse'];
+
+// Fields each type needs or accepts (on top of name, rounding, minMargin and onViolation)
+const TYPE_FIELDS = {
+  percentOff: ['percent'],
+  amountOff: ['amount', 'amountUnits'],
+  memberPrice: ['percent', 'price', 'priceUnits'],
+  buyXGetY: ['buy', 'get', 'percent'],
+  multiBuy: ['quantity', 'price', 'priceUnits']
+};
+const COMMON_FIELDS = ['type', 'name', 'rounding', 'minMargin', 'onViolation'];
+
+/**
+ * Validated promotion
+ * @typedef {Object} Promotion
+ * @property {string} type - One of PROMOTION_TYPES
+ * @property {string} name - Label for reports (defaults to the type)
+ * @property {string} currency - Currency of the amounts
+ * @property {bigint|null} percentBps - Percentage off (percentOff, memberPrice, buyXGetY)
+ * @property {bigint|null} amountUnits - Amount off each unit (amountOff)
+ * @property {bigint|null} priceUnits - Member price, or the price of a multiBuy group
+ * @property {number} groupSize - Units the deal needs (1, buy + get, or the multiBuy quantity)
+ * @property {number|null} buy - Full-price units per buyXGetY group
+ * @property {*} rounding - Rounder name, function or rule spec for sale prices
+ * @property {function(bigint): bigint} round - Compiled rounder
+ * @property {bigint|null} minMarginBps - Margin floor for the deal
+ * @property {'flag'|'refuse'} onViolation - What to do when the deal is below cost or the floor
+ */
+
+// "25%" or basis points, within 0..100%
+function toPercentBps(value, field) {
+  if (value === undefined) {
+    throw new PricingValidationError(`Promotion needs ${field}.`, { field });
+  }
+  let bps;
+  try {
+    bps = parseMarkup(value, 'margin');
+  } catch (error) {
+    throw withErrorContext(error, { field });
+  }
+  if (bps <= 0n || bps > ONE) {
+    throw new PricingRangeError(`${field} must be above 0% and at most 100%, got: ${value}`, { field, value: bps, min: 1n, max: ONE });
+  }
+  return bps;
+}
+
+// `<field>Units` (smallest units) wins over `<field>` (major units)
+function toAmount(spec, field, currency) {
+  const units = spec[`${field}Units`];
+  if (units === undefined && spec[field] === undefined) {
+    throw new PricingValidationError(`Promotion ${spec.type} needs ${field}.`, { field });
+  }
+  let amount;
+  try {
+    amount = units !== undefined ? toBigInt(units, `${field}Units`) : toSmallestUnit(spec[field], currency);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${field} `, field });
+  }
+  if (amount < 0n) {
+    throw new PricingRangeError(`${field} cannot be negative.`, { field, value: amount, min: 0n });
+  }
+  return amount;
+}
+
+// Margin floor: "15%" or bps, below 100%
+function toFloorBps(value) {
+  let bps;
+  try {
+    bps = parseMarkup(value, 'margin');
+  } catch (error) {
+    throw withErrorContext(error, { field: 'minMargin' });
+  }
+  if (bps < 0n || bps >= ONE) {
+    throw new PricingRangeError(`minMargin must be at least 0% and below 100%, got: ${value}`, { field: 'minMargin', value: bps, min: 0n, max: ONE - 1n });
+  }
+  return bps;
+}
+
+function toCount(value, field) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new PricingRangeError(`${field} must be a whole number of at least 1, got: ${value}`, { field, value, min: 1 });
+  }
+  return value;
+}
+
+const has = (spec, field) => spec[field] !== undefined || spec[`${field}Units`] !== undefined;
+
+/**
+ * Validate a promotion
+ * @param {Object} spec - type plus the type's fields (see module docs), and optionally:
+ * @param {string} [spec.name] - Label for reports
+ * @param {*} [spec.rounding='identity'] - Rounder for per-unit sale prices: a name, function or rule spec
+ * @param {string|number} [spec.minMargin] - Margin floor for the deal: "15%" or bps
+ * @param {'flag'|'refuse'} [spec.onViolation='flag'] - Apply and flag, or refuse, a deal below cost or the floor
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Currency of amounts and rounding rules
+ * @returns {Promotion} Promotion for applyPromotion
+ */
+export function definePromotion(spec, { currency = 'USD' } = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new PricingValidationError('Promotion must be an object.', { field: 'promotion' });
+  }
+  const { type } = spec;
+  if (!PROMOTION_TYPES.includes(type)) {
+    throw new PricingValidationError(`Unknown promotion type: ${type}. Supported types: ${PROMOTION_TYPES.join(', ')}`, {
+      field: 'type', value: type, allowed: PROMOTION_TYPES
+    });
+  }
+  const allowed = [...COMMON_FIELDS, ...TYPE_FIELDS[type]];
+  const unknown = Object.keys(spec).filter((key) => !allowed.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`Promotion ${type} has unknown field(s) ${unknown.join(', ')}. Supported fields: ${allowed.join(', ')}`, {
+      field: unknown[0], allowed
+    });
+  }
+
+  const promotion = {
+    type,
+    name: spec.name || type,
+    currency,
+    percentBps: null,
+    amountUnits: null,
+    priceUnits: null,
+    groupSize: 1,
+    buy: null,
+    rounding: spec.rounding ?? 'identity',
+    round: null,
+    minMarginBps: null,
+    onViolation: spec.onViolation ?? 'flag'
+  };
+
+  if (type === 'percentOff') {
+    promotion.percentBps = toPercentBps(spec.percent, 'percent');
+  } else if (type === 'amountOff') {
+    promotion.amountUnits = toAmount(spec, 'amount', currency);
+  } else if (type === 'memberPrice') {
+    if (has(spec, 'price') === (spec.percent !== undefined)) {
+      throw new PricingValidationError('Promotion memberPrice needs either price or percent.', { field: 'price' });
+    }
+    if (spec.percent !== undefined) promotion.percentBps = toPercentBps(spec.percent, 'percent');
+    else promotion.priceUnits = toAmount(spec, 'price', currency);
+  } else if (type === 'buyXGetY') {
+    promotion.buy = toCount(spec.buy, 'buy');
+    promotion.groupSize = promotion.buy + toCount(spec.get, 'get');
+    promotion.percentBps = spec.percent === undefined ? ONE : toPercentBps(spec.percent, 'percent');
+  } else {
+    promotion.groupSize = toCount(spec.quantity, 'quantity');
+    if (promotion.groupSize < 2) {
+      throw new PricingRangeError('Promotion multiBuy quantity must be at least 2.', { field: 'quantity', value: spec.quantity, min: 2 });
+    }
+    promotion.priceUnits = toAmount(spec, 'price', currency);
+  }
+
+  const { rounding } = promotion;
+  try {
+    promotion.round = resolveCurrencyRounder(rounding, currency);
+  } catch (error) {
+    throw withErrorContext(error, { field: 'rounding' });
+  }
+  if (spec.minMargin !== undefined) promotion.minMarginBps = toFloorBps(spec.minMargin);
+  if (!PROMOTION_ACTIONS.includes(promotion.onViolation)) {
+    throw new PricingValidationError(`Unknown onViolation: ${promotion.onViolation}. Supported actions: ${PROMOTION_ACTIONS.join(', ')}`, {
+      field: 'onViolation', value: promotion.onViolation, allowed: PROMOTION_ACTIONS
+    });
+  }
+  return promotion;
+}
+
+// Sale price of one unit, re-rounded and capped at the regular price
+function salePrice(promotion, regular) {
+  const { percentBps } = promotion;
+  if (percentBps === ONE) return 0n;
+  let raw;
+  if (promotion.amountUnits !== null) raw = regular - promotion.amountUnits;
+  else if (percentBps !== null) raw = divFloor(regular * (ONE - percentBps), ONE);
+  else raw = promotion.priceUnits;
+  const rounded = promotion.round(raw < 0n ? 0n : raw);
+  return rounded < regular ? rounded : regular;
+}
+
+/**
+ * Outcome of a promotion
+ * @typedef {Object} PromotionResult
+ * @property {string} type - Promotion type
+ * @property {string} name - Promotion name
+ * @property {boolean} applied - Whether the shopper gets the deal
+ * @property {string|null} reason - Why not: 'member' (members only), 'quantity' (fewer units than the
+ *   deal needs), 'noDiscount' (the sale price rounded back to the regular price) or 'refused'
+ * @property {number} quantity - Units priced
+ * @property {bigint} regularPriceUnits - Regular unit price
+ * @property {bigint} unitPriceUnits - Sale unit price (average over the units for buyXGetY / multiBuy, rounded down)
+ * @property {bigint} totalUnits - What the shopper pays for `quantity` units
+ * @property {bigint} regularTotalUnits - Regular price times quantity
+ * @property {bigint} discountUnits - regularTotalUnits - totalUnits
+ * @property {bigint} discountBps - Discount as a share of the regular total, rounded down
+ * @property {bigint|null} costUnits - Unit cost (null when unknown)
+ * @property {bigint|null} profitUnits - totalUnits - cost of the units (null without a cost)
+ * @property {bigint|null} marginBps - Margin of the deal, rounded down (null without a cost or for a free total)
+ * @property {string[]} violations - 'belowCost' and/or 'minMargin'
+ */
+
+/**
+ * Apply a promotion to a regular price
+ * @param {bigint|number|{priceUnits: bigint, costUnits?: bigint, currency?: string}} price - Regular unit price, or a price
+ *   breakdown (whose currency, when it has one, must be the promotion's)
+ * @param {Promotion|Object} promotion - Promotion from definePromotion (or a spec to validate)
+ * @param {Object} [options]
+ * @param {bigint|number} [options.costUnits] - Unit cost (taken from a breakdown when omitted)
+ * @param {number} [options.quantity] - Units bought (default: the units the deal needs)
+ * @param {boolean} [options.member=false] - Whether the shopper qualifies for member prices
+ * @param {string|number} [options.minMargin] - Margin floor when the promotion sets none
+ * @param {string} [options.currency='USD'] - Currency for a promotion spec
+ * @returns {PromotionResult} Result
+ */
+export function applyPromotion(price, promotion, { costUnits, quantity, member = false, minMargin, currency = 'USD' } = {}) {
+  const promo = promotion && typeof promotion.round === 'function' ? promotion : definePromotion(promotion, { currency });
+  const breakdown = price !== null && typeof price === 'object' ? price : null;
+  checkCostCurrency(breakdown, promo.currency, 'promotion is');
+  const regular = toBigInt(breakdown ? breakdown.priceUnits : price, 'priceUnits');
+  if (regular < 0n) {
+    throw new PricingRangeError('priceUnits cannot be negative.', { field: 'priceUnits', value: regular, min: 0n });
+  }
+  const costInput = costUnits ?? (breakdown ? breakdown.costUnits : undefined);
+  const cost = costInput === undefined || costInput === null ? null : toBigInt(costInput, 'costUnits');
+  const units = quantity === undefined ? promo.groupSize : toCount(quantity, 'quantity');
+  const floorBps = promo.minMarginBps ?? (minMargin === undefined ? null : toFloorBps(minMargin));
+
+  const regularTotalUnits = regular * BigInt(units);
+  let reason = null;
+  let totalUnits = regularTotalUnits;
+  if (promo.type === 'memberPrice' && !member) {
+    reason = 'member';
+  } else if (units < promo.groupSize) {
+    reason = 'quantity';
+  } else if (promo.type === 'buyXGetY' || promo.type === 'multiBuy') {
+    const groups = BigInt(Math.floor(units / promo.groupSize));
+    const rest = BigInt(units % promo.groupSize);
+    const group = promo.type === 'multiBuy'
+      ? promo.priceUnits
+      : regular * BigInt(promo.buy) + salePrice(promo, regular) * BigInt(promo.groupSize - promo.buy);
+    totalUnits = groups * group + rest * regular;
+  } else {
+    totalUnits = salePrice(promo, regular) * BigInt(units);
+  }
+  if (reason === null && totalUnits >= regularTotalUnits) {
+    reason = 'noDiscount';
+    totalUnits = regularTotalUnits;
+  }
+
+  const costTotal = cost === null ? null : cost * BigInt(units);
+  const violations = [];
+  if (reason === null && costTotal !== null) {
+    if (totalUnits < costTotal) violations.push('belowCost');
+    if (floorBps !== null && (totalUnits - costTotal) * ONE < floorBps * totalUnits) violations.push('minMargin');
+  }
+  if (violations.length && promo.onViolation === 'refuse') {
+    reason = 'refused';
+    totalUnits = regularTotalUnits;
+  }
+
+  const profitUnits = costTotal === null ? null : totalUnits - costTotal;
+  return {
+    type: promo.type,
+    name: promo.name,
+    applied: reason === null,
+    reason,
+    quantity: units,
+    regularPriceUnits: regular,
+    unitPriceUnits: totalUnits / BigInt(units),
+    totalUnits,
+    regularTotalUnits,
+    discountUnits: regularTotalUnits - totalUnits,
+    discountBps: regularTotalUnits === 0n ? 0n : divFloor((regularTotalUnits - totalUnits) * ONE, regularTotalUnits),
+    costUnits: cost,
+    profitUnits,
+    marginBps: profitUnits === null || totalUnits === 0n ? null : divFloor(profitUnits * ONE, totalUnits),
+    violations
+  };
+}
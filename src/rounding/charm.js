@@ -0,0 +1,67 @@
+import { CURRENCIES } from "../currency.js";
+import { PricingValidationError, UnknownCurrencyError } from "../errors.js";
+
+// Parse a charm ending written in major units into { units, modulus } for a currency.
+//   ".99"  -> last 99/100 of a major unit      (USD: 99 mod 100, KWD: 990 mod 1000)
+//   ".90"  -> 90 paise                         (INR: 90 mod 100)
+//   "9"    -> whole-unit price ending in 9     (USD: 900 mod 1000, JPY: 9 mod 10)
+//   "99"   -> whole-unit price ending in 99    (JPY: 99 mod 100)
+//   "9.99" -> ending in 9.99                   (USD: 999 mod 1000)
+function parseEnding(ending, config) {
+  const match = /^(\d*)(?:\.(\d+))?$/.exec(String(ending).trim());
+  if (!match || (match[1] === "" && match[2] === undefined)) {
+    throw new PricingValidationError(`Invalid charm ending: ${ending}. Use forms like ".99", "9", "99" or "9.99".`, { field: "endings", value: ending });
+  }
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > config.decimalPlaces) {
+    throw new PricingValidationError(`Charm ending ${ending} has more decimals than ${config.code} allows (${config.decimalPlaces}).`, {
+      field: "endings", value: ending, decimalPlaces: config.decimalPlaces
+    });
+  }
+  const scale = 10n ** BigInt(config.decimalPlaces);
+  const units = BigInt(whole || "0") * scale + BigInt(fraction.padEnd(config.decimalPlaces, "0") || "0");
+  const modulus = 10n ** BigInt(whole.length) * scale;
+  return { units, modulus };
+}
+
+/**
+ * Create a charm-pricing rounder that respects the currency's decimal places.
+ * Prices round UP to the next allowed ending. Endings with different lengths are
+ * merged (e.g., ["9.99", ".49"] allows x9.99 and every .49). Each ending is matched
+ * arithmetically, so long endings ("99999.99") cost no more than short ones.
+ * @param {string|string[]} endings - Ending(s) in major units (e.g., ".99", [".49", ".99"], "99")
+ * @param {CurrencyConfig|string} currency - Currency config or ISO code
+ * @returns {(priceUnits: bigint) => bigint} Rounder
+ */
+export function createCharmRounder(endings = ".99", currency = "USD") {
+  const config = typeof currency === "string" ? CURRENCIES[currency] : currency;
+  if (!config) {
+    throw new UnknownCurrencyError(currency);
+  }
+
+  const parsed = (Array.isArray(endings) ? endings : [endings]).map((e) => parseEnding(e, config));
+  if (parsed.length === 0) throw new PricingValidationError("createCharmRounder needs at least one ending.", { field: "endings", value: endings });
+
+  // The next price with each ending; the lowest of them wins
+  return function roundCharm(priceUnits /* bigint */) {
+    return parsed.reduce((best, { units, modulus }) => {
+      const r = ((priceUnits % modulus) + modulus) % modulus;
+      const next = priceUnits - r + units + (units >= r ? 0n : modulus);
+      return best === null || next < best ? next : best;
+    }, null);
+  };
+}
+
+/**
+ * Default cash/price step for a currency: 0.05 of a major unit where the currency
+ * can express it (5 cents, 50 fils), otherwise one smallest unit (1 yen).
+ * @param {CurrencyConfig|string} currency - Currency config or ISO code
+ * @returns {bigint} Step in smallest units
+ */
+export function defaultStepUnits(currency = "USD") {
+  const config = typeof currency === "string" ? CURRENCIES[currency] : currency;
+  if (!config) {
+    throw new UnknownCurrencyError(currency);
+  }
+  return config.decimalPlaces >= 2 ? 5n * 10n ** BigInt(config.decimalPlaces - 2) : 1n;
+}
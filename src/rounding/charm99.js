@@ -1,5 +1,6 @@
 // Force an .99 ending (assumes 100 units = $1.00; i.e., 1 = cent).
 // Always rounds UP to x.99 if not already there.
+// For currencies that are not cent-based use createCharmRounder(".99", currency).
 export default function charm99(priceUnits /* bigint */) {
   const hundred = 100n;
   const dollars = priceUnits / hundred;
@@ -0,0 +1,25 @@
+import { PricingRangeError, PricingValidationError } from "../errors.js";
+
+// Round UP to the next price whose last digits (price % modulus) are one of `endings`.
+// e.g., endsWith([49n, 99n], 100n): 312 -> 349, 350 -> 399, 401 -> 449 (cents)
+//       endsWith([999n], 1000n):   10250 -> 10999 (i.e., $102.50 -> $109.99)
+export default function endsWith(endings = [99n], modulus = 100n) {
+  if (typeof modulus === "number") modulus = BigInt(modulus);
+  const targets = endings
+    .map((e) => (typeof e === "bigint" ? e : BigInt(e)))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+  if (modulus <= 0n) throw new PricingRangeError("endsWith modulus must be positive.", { field: "modulus", value: modulus, min: 1n });
+  if (targets.length === 0) throw new PricingValidationError("endsWith needs at least one ending.", { field: "endings", value: endings });
+  const outside = targets.find((e) => e < 0n || e >= modulus);
+  if (outside !== undefined) {
+    throw new PricingRangeError(`endsWith endings must be between 0 and ${modulus - 1n}.`, { field: "endings", value: outside, min: 0n, max: modulus - 1n });
+  }
+
+  return function round(priceUnits /* bigint */) {
+    const r = ((priceUnits % modulus) + modulus) % modulus;
+    const base = priceUnits - r;
+    const next = targets.find((e) => e >= r);
+    return next !== undefined ? base + next : base + modulus + targets[0];
+  };
+}
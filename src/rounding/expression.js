@@ -0,0 +1,236 @@
+import { divFloor, divCeil, divRound } from "../core/math.js";
+import { PricingError, PricingRangeError, PricingValidationError, ERROR_CODES } from "../errors.js";
+
+/**
+ * Rounding expressions: a small, sandboxed language for custom rounders.
+ *
+ * Expressions are tokenized and parsed into closures (no eval / new Function), work on
+ * BigInt only and can only see the price being rounded, `units`:
+ *
+ *   ceilStep(units, 10) - 1                   next price ending in 9
+ *   units < 100 ? ceilStep(units, 5) : endsWith(units, 99, 100)
+ *   max(units, 199)                           never below 1.99
+ *
+ * Literals: integers (an optional BigInt `n` suffix is accepted, e.g. 10n)
+ * Operators: + - * / % (floor division and modulo), < <= > >= == !=, && || !, cond ? a : b
+ *            comparisons and logic yield 1 or 0; any non-zero value is true
+ * Functions: min(a, b, ...), max(a, b, ...), abs(x),
+ *            ceilStep(x, step), floorStep(x, step), nearestStep(x, step) (ties up),
+ *            endsWith(x, ending, modulus) (smallest value >= x with value % modulus == ending)
+ */
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 50;
+
+const TOKEN = /(\d+)n?|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%<>()!?:,])/y;
+
+function fail(message, position) {
+  throw new PricingValidationError(
+    `Invalid rounding expression${position === undefined ? "" : ` at position ${position + 1}`}: ${message}`,
+    { code: ERROR_CODES.INVALID_ROUNDING_EXPRESSION, field: "expression", position: position === undefined ? undefined : position + 1 }
+  );
+}
+
+function divisionByZero() {
+  return new PricingError("Division by zero in rounding expression.", { code: ERROR_CODES.DIVISION_BY_ZERO });
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  for (;;) {
+    while (position < source.length && /\s/.test(source[position])) position++;
+    if (position >= source.length) break;
+    TOKEN.lastIndex = position;
+    const match = TOKEN.exec(source);
+    if (!match) fail(`unexpected character "${source[position]}"`, position);
+    if (match[1] !== undefined) tokens.push({ type: "number", value: BigInt(match[1]), position });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2], position });
+    else tokens.push({ type: "op", value: match[3], position });
+    position = TOKEN.lastIndex;
+  }
+  tokens.push({ type: "end", position: source.length });
+  return tokens;
+}
+
+const toBool = (value) => (value ? 1n : 0n);
+
+function positiveStep(step, name) {
+  if (step <= 0n) throw new PricingRangeError(`${name} step must be positive, got: ${step}`, { field: name, value: step, min: 1n });
+  return step;
+}
+
+function floorMod(value, modulus) {
+  if (modulus === 0n) throw divisionByZero();
+  return value - divFloor(value, modulus) * modulus;
+}
+
+// name -> [minArgs, maxArgs, implementation]
+const FUNCTIONS = {
+  min: [1, Infinity, (...args) => args.reduce((a, b) => (b < a ? b : a))],
+  max: [1, Infinity, (...args) => args.reduce((a, b) => (b > a ? b : a))],
+  abs: [1, 1, (x) => (x < 0n ? -x : x)],
+  ceilStep: [2, 2, (x, step) => divCeil(x, positiveStep(step, "ceilStep")) * step],
+  floorStep: [2, 2, (x, step) => divFloor(x, positiveStep(step, "floorStep")) * step],
+  nearestStep: [2, 2, (x, step) => divRound(x, positiveStep(step, "nearestStep"), "halfUp") * step],
+  endsWith: [3, 3, (x, ending, modulus) => {
+    positiveStep(modulus, "endsWith modulus");
+    if (ending < 0n || ending >= modulus) {
+      throw new PricingRangeError(`endsWith ending must be in [0, ${modulus}), got: ${ending}`, { field: "endsWith ending", value: ending, min: 0n, max: modulus - 1n });
+    }
+    const candidate = x - floorMod(x, modulus) + ending;
+    return candidate >= x ? candidate : candidate + modulus;
+  }]
+};
+
+const BINARY = {
+  "||": [1, (a, b) => toBool(a() !== 0n || b() !== 0n)],
+  "&&": [2, (a, b) => toBool(a() !== 0n && b() !== 0n)],
+  "==": [3, (a, b) => toBool(a() === b())],
+  "!=": [3, (a, b) => toBool(a() !== b())],
+  "<": [4, (a, b) => toBool(a() < b())],
+  "<=": [4, (a, b) => toBool(a() <= b())],
+  ">": [4, (a, b) => toBool(a() > b())],
+  ">=": [4, (a, b) => toBool(a() >= b())],
+  "+": [5, (a, b) => a() + b()],
+  "-": [5, (a, b) => a() - b()],
+  "*": [6, (a, b) => a() * b()],
+  "/": [6, (a, b) => {
+    const divisor = b();
+    if (divisor === 0n) throw divisionByZero();
+    return divFloor(a(), divisor);
+  }],
+  "%": [6, (a, b) => floorMod(a(), b())]
+};
+
+// Precedence-climbing parser producing closures over a scope ({ units })
+function parse(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (value) => {
+    const token = next();
+    if (token.type !== "op" || token.value !== value) {
+      fail(`expected "${value}" but found ${describe(token)}`, token.position);
+    }
+  };
+  const describe = (token) => (token.type === "end" ? "end of expression" : `"${token.value}"`);
+
+  function expression(depth) {
+    if (depth > MAX_DEPTH) fail("expression is nested too deeply", peek().position);
+    const condition = binary(depth, 1);
+    if (peek().type === "op" && peek().value === "?") {
+      next();
+      const whenTrue = expression(depth + 1);
+      expect(":");
+      const whenFalse = expression(depth + 1);
+      return (scope) => (condition(scope) !== 0n ? whenTrue(scope) : whenFalse(scope));
+    }
+    return condition;
+  }
+
+  function binary(depth, minPrecedence) {
+    let left = unary(depth);
+    for (;;) {
+      const token = peek();
+      const operator = token.type === "op" && BINARY[token.value];
+      if (!operator || operator[0] < minPrecedence) return left;
+      next();
+      const right = binary(depth, operator[0] + 1);
+      const lhs = left;
+      left = (scope) => operator[1](() => lhs(scope), () => right(scope));
+    }
+  }
+
+  function unary(depth) {
+    const token = peek();
+    if (token.type === "op" && (token.value === "-" || token.value === "!" || token.value === "+")) {
+      next();
+      if (depth > MAX_DEPTH) fail("expression is nested too deeply", token.position);
+      const operand = unary(depth + 1);
+      if (token.value === "-") return (scope) => -operand(scope);
+      if (token.value === "!") return (scope) => toBool(operand(scope) === 0n);
+      return operand;
+    }
+    return primary(depth);
+  }
+
+  function primary(depth) {
+    const token = next();
+    if (token.type === "number") {
+      const { value } = token;
+      return () => value;
+    }
+    if (token.type === "op" && token.value === "(") {
+      const inner = expression(depth + 1);
+      expect(")");
+      return inner;
+    }
+    if (token.type === "name") {
+      if (peek().type === "op" && peek().value === "(") {
+        return call(token, depth);
+      }
+      if (token.value !== "units") {
+        fail(`unknown variable "${token.value}" (only "units" is available)`, token.position);
+      }
+      return (scope) => scope.units;
+    }
+    fail(`unexpected ${describe(token)}`, token.position);
+  }
+
+  function call(token, depth) {
+    const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+    if (!definition) {
+      fail(`unknown function "${token.value}". Available functions: ${Object.keys(FUNCTIONS).join(", ")}`, token.position);
+    }
+    expect("(");
+    const args = [];
+    const isOp = (value) => peek().type === "op" && peek().value === value;
+    if (!isOp(")")) {
+      args.push(expression(depth + 1));
+      while (isOp(",")) {
+        next();
+        args.push(expression(depth + 1));
+      }
+    }
+    expect(")");
+    const [minArgs, maxArgs, implementation] = definition;
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected = minArgs === maxArgs ? minArgs : `at least ${minArgs}`;
+      fail(`${token.value}() takes ${expected} argument${minArgs === 1 ? "" : "s"}, got ${args.length}`, token.position);
+    }
+    return (scope) => implementation(...args.map((arg) => arg(scope)));
+  }
+
+  const root = expression(0);
+  if (peek().type !== "end") {
+    fail(`unexpected ${describe(peek())}`, peek().position);
+  }
+  return root;
+}
+
+/**
+ * Compile a rounding expression into a rounder. Syntax errors are reported at compile
+ * time with their position; the rounder throws if the expression yields a negative price.
+ * @param {string} expression - Expression over `units` (e.g., "ceilStep(units, 10) - 1")
+ * @returns {(priceUnits: bigint) => bigint} Rounder
+ */
+export function compileRoundingExpression(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    fail("expected a non-empty string");
+  }
+  if (expression.length > MAX_LENGTH) {
+    fail(`longer than ${MAX_LENGTH} characters`);
+  }
+  const evaluate = parse(tokenize(expression));
+  return function roundExpression(priceUnits) {
+    const units = typeof priceUnits === "bigint" ? priceUnits : BigInt(priceUnits);
+    const result = evaluate({ units });
+    if (result < 0n) {
+      throw new PricingRangeError(`Rounding expression "${expression}" produced a negative price (${result}) for ${units} units.`, {
+        field: "priceUnits", value: result, min: 0n
+      });
+    }
+    return result;
+  };
+}
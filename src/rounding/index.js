@@ -1,6 +1,16 @@
 import identity from "./identity.js";
 import ceilStep, { ceilStepUSD, ceilStepEUR, ceilStepJPY, ceilStepINR } from "./ceilStep.js";
 import charm99 from "./charm99.js";
+import endsWith from "./endsWith.js";
+import { floorStep, nearestStep } from "./step.js";
+import { defaultStepUnits } from "./charm.js";
+import { compileRoundingRule, RETAIL_BANDS } from "./rules.js";
+import { UnknownRoundingError } from "../errors.js";
+
+export { roundToStep, floorStep, nearestStep, towardZeroStep } from "./step.js";
+export { createCharmRounder, defaultStepUnits } from "./charm.js";
+export { compileRoundingRule, registerRoundingRule, resolveCurrencyRounder, RETAIL_BANDS } from "./rules.js";
+export { compileRoundingExpression } from "./expression.js";
 
 // Registry for pluggable rounding styles.
 // Add new styles here without touching the base calculator.
@@ -9,6 +19,12 @@ export const rounders = {
   identity,            // keep as-is (nearest unit)
   ceilStep5: ceilStep(5n),   // round up to next multiple of 5 units (e.g., nickels)
   ceilStep10: ceilStep(10n), // e.g., dimes
+  floorStep5: floorStep(5n),   // round down to previous multiple of 5 units (never exceeds a cap)
+  floorStep10: floorStep(10n), // round down to previous multiple of 10 units
+  nearestStep5: nearestStep(5n),     // nearest 5 units (cash rounding, e.g., CAD nickels)
+  nearestStep10: nearestStep(10n),   // nearest 10 units, ties up
+  halfEvenStep10: nearestStep(10n, "halfEven"), // nearest 10 units, ties to even (banker's)
+  nearestStep100: nearestStep(100n), // nearest whole major unit (e.g., Swedish kronor cash rounding)
   
   // Currency-specific strategies
   ceilStepUSD,         // USD: round up to next nickel (5¢)
@@ -17,25 +33,27 @@ export const rounders = {
   ceilStepINR,         // INR: round up to next 5 paise
   
   // Psychological pricing
-  charm99,             // force .99 ending (assumes 1 unit = cent)
+  charm99,             // force .99 ending (assumes 1 unit = cent; see createCharmRounder for other currencies)
+  charm49or99: endsWith([49n, 99n], 100n), // next .49 or .99 ending (1 unit = cent)
+
+  // Rule-based (price bands)
+  retailBands: compileRoundingRule(RETAIL_BANDS), // <$1: 5¢ steps, $1–$10: .49/.99, $10–$100: .99, $100+: 9.99
 };
 
+// Names above can't be replaced by registerRoundingRule (or config rounders)
+export const BUILT_IN_ROUNDERS = Object.freeze(Object.keys(rounders));
+
 // Resolve a rounder by key (string) or accept a custom function.
 export function resolveRounder(rounding) {
   if (typeof rounding === "function") return rounding;
-  const r = rounders[rounding];
-  if (!r) throw new Error(`Unknown rounding style: ${rounding}`);
+  const r = Object.prototype.hasOwnProperty.call(rounders, rounding) ? rounders[rounding] : undefined;
+  if (!r) throw new UnknownRoundingError(rounding, Object.keys(rounders));
   return r;
 }
 
-// Helper to create currency-specific step rounders
-export function createCurrencyStepRounder(currency = 'USD') {
-  const currencyMap = {
-    USD: ceilStepUSD,
-    EUR: ceilStepEUR,
-    JPY: ceilStepJPY,
-    INR: ceilStepINR
-  };
-  
-  return currencyMap[currency] || ceilStep(5n);
+// Helper to create currency-specific step rounders (round UP to the step).
+// Works for every ISO 4217 currency: the default step is 0.05 of a major unit
+// (5¢, 50 fils) or one unit for currencies without minor units (1 yen).
+export function createCurrencyStepRounder(currency = 'USD', stepUnits = defaultStepUnits(currency)) {
+  return ceilStep(stepUnits);
 }
@@ -0,0 +1,216 @@
+import identity from "./identity.js";
+import ceilStep from "./ceilStep.js";
+import endsWith from "./endsWith.js";
+import { roundToStep } from "./step.js";
+import { createCharmRounder, defaultStepUnits } from "./charm.js";
+import { compileRoundingExpression } from "./expression.js";
+import { PricingValidationError, UnknownRoundingError, ERROR_CODES } from "../errors.js";
+// rules.js and the registry import each other; always load this module through ./index.js
+import { rounders, resolveRounder, BUILT_IN_ROUNDERS } from "./index.js";
+
+/**
+ * Rounding rules: composable, JSON-serializable rounding configuration.
+ *
+ * A rule spec is one of:
+ *  - "charm99"                                   a rounder name from the `rounders` registry
+ *  - [spec, spec, ...]                           chain: apply each rule in order
+ *  - { type: "chain", steps: [spec, ...] }        same as an array
+ *  - { type: "ceilStep", step: 5 }               round up to a multiple of `step` units
+ *  - { type: "step", step: 5, mode: "floor" }    round to a multiple of `step` with any ROUNDING_MODES mode
+ *  - { type: "endsWith", endings: [49, 99], modulus: 100 }
+ *  - { type: "charm", endings: [".49", ".99"], currency: "KWD" }
+ *      currency-aware charm endings in major units (currency defaults to the compile option)
+ *  - { type: "currencyStep", step: 5 }          round up to `step` units (default: the currency's cash step)
+ *  - { type: "bands", bands: [{ min, max, rounding: spec }, ...] }
+ *      the first band with min <= price < max (both optional, in smallest units)
+ *      rounds the price; prices outside every band are left as-is
+ *  - { type: "currency", currencies: { JPY: spec, ... }, default: spec }
+ *      pick a rule by the `currency` option given at compile time
+ *  - { type: "expression", expression: "ceilStep(units, 10) - 1" }
+ *      a sandboxed rounding expression (see expression.js)
+ *
+ * Amounts may be numbers, bigints or integer strings so specs survive JSON round-trips.
+ */
+
+// Grocery/retail price bands (units = cents):
+//  under $1 -> next 5¢, $1–$10 -> .49/.99, $10–$100 -> .99, $100+ -> 9.99
+export const RETAIL_BANDS = {
+  type: "bands",
+  bands: [
+    { max: 100, rounding: { type: "ceilStep", step: 5 } },
+    { min: 100, max: 1000, rounding: { type: "endsWith", endings: [49, 99], modulus: 100 } },
+    { min: 1000, max: 10000, rounding: { type: "endsWith", endings: [99], modulus: 100 } },
+    { min: 10000, rounding: { type: "endsWith", endings: [999], modulus: 1000 } }
+  ]
+};
+
+const toUnits = (value, field) => {
+  if (typeof value === "bigint") return value;
+  if ((typeof value === "number" && Number.isInteger(value)) || (typeof value === "string" && /^-?\d+$/.test(value))) {
+    return BigInt(value);
+  }
+  throw new PricingValidationError(`Rounding rule ${field} must be an integer number of units, got: ${value}`, { field, value });
+};
+
+// Builders for object specs, keyed by `type`.
+const ruleTypes = {
+  chain: (spec, options) => {
+    if (!Array.isArray(spec.steps)) throw new PricingValidationError("Rounding rule chain needs a steps array.", { field: "steps", value: spec.steps });
+    return chain(spec.steps.map((step) => compile(step, options)));
+  },
+
+  ceilStep: (spec) => ceilStep(toUnits(spec.step, "step")),
+
+  step: (spec) => roundToStep(toUnits(spec.step, "step"), spec.mode ?? "ceil"),
+
+  endsWith: (spec) => {
+    if (!Array.isArray(spec.endings)) throw new PricingValidationError("Rounding rule endsWith needs an endings array.", { field: "endings", value: spec.endings });
+    return endsWith(
+      spec.endings.map((e) => toUnits(e, "ending")),
+      toUnits(spec.modulus ?? 100, "modulus")
+    );
+  },
+
+  charm: (spec, options) => createCharmRounder(spec.endings ?? ".99", spec.currency || options.currency || "USD"),
+
+  currencyStep: (spec, options) => {
+    const currency = spec.currency || options.currency || "USD";
+    return ceilStep(spec.step === undefined ? defaultStepUnits(currency) : toUnits(spec.step, "step"));
+  },
+
+  bands: (spec, options) => {
+    if (!Array.isArray(spec.bands)) throw new PricingValidationError("Rounding rule bands needs a bands array.", { field: "bands", value: spec.bands });
+    const bands = spec.bands.map((band) => ({
+      min: band.min === undefined ? null : toUnits(band.min, "band min"),
+      max: band.max === undefined ? null : toUnits(band.max, "band max"),
+      round: compile(band.rounding, options)
+    }));
+    return function roundByBand(priceUnits) {
+      const band = bands.find(
+        ({ min, max }) => (min === null || priceUnits >= min) && (max === null || priceUnits < max)
+      );
+      return band ? band.round(priceUnits) : priceUnits;
+    };
+  },
+
+  currency: (spec, options) => {
+    const currencies = spec.currencies || {};
+    const selected = options.currency && currencies[options.currency] !== undefined
+      ? currencies[options.currency]
+      : spec.default;
+    return selected === undefined ? identity : compile(selected, options);
+  },
+
+  expression: (spec) => compileRoundingExpression(spec.expression)
+};
+
+function chain(steps) {
+  return function roundChain(priceUnits) {
+    return steps.reduce((units, step) => step(units), priceUnits);
+  };
+}
+
+// Registered rules compiled again per currency, keyed by the registered rounder
+const compiledForCurrency = new WeakMap();
+
+// A registry name: a registered rule follows the currency being compiled for, unless it was
+// registered for a fixed currency (or refers back to itself)
+function resolveNamed(name, options) {
+  const rounder = resolveRounder(name);
+  const resolving = options.resolving || new Set();
+  if (!options.currency || rounder.rule === undefined || rounder.currency || resolving.has(rounder)) return rounder;
+  let byCurrency = compiledForCurrency.get(rounder);
+  if (!byCurrency) compiledForCurrency.set(rounder, (byCurrency = new Map()));
+  if (!byCurrency.has(options.currency)) {
+    const compiled = compile(rounder.rule, { ...options, resolving: new Set(resolving).add(rounder) });
+    const recompiled = (priceUnits) => compiled(priceUnits);
+    recompiled.rule = rounder.rule;
+    recompiled.toJSON = () => rounder.rule;
+    Object.defineProperty(recompiled, "name", { value: rounder.name });
+    byCurrency.set(options.currency, recompiled);
+  }
+  return byCurrency.get(options.currency);
+}
+
+function compile(spec, options) {
+  if (typeof spec === "string") return resolveNamed(spec, options);
+  if (Array.isArray(spec)) return chain(spec.map((step) => compile(step, options)));
+  if (spec && typeof spec === "object") {
+    const build = ruleTypes[spec.type];
+    if (!build) {
+      const types = Object.keys(ruleTypes);
+      throw new UnknownRoundingError(spec.type, types, {
+        field: "type",
+        message: `Unknown rounding rule type: ${spec.type}. Supported types: ${types.join(", ")}`
+      });
+    }
+    return build(spec, options);
+  }
+  throw new PricingValidationError(`Invalid rounding rule: ${JSON.stringify(spec)}`, { field: "rounding", value: spec });
+}
+
+/**
+ * Compile a rounding rule spec into a rounder function.
+ * The returned rounder serializes back to its spec via JSON.stringify().
+ * @param {string|Array|Object} spec - Rule spec (see module docs)
+ * @param {Object} [options]
+ * @param {string} [options.currency] - ISO code used by "charm", "currencyStep" and "currency" rules (and by
+ *   registered rules the spec names, unless they were registered with a currency of their own)
+ * @returns {(priceUnits: bigint) => bigint} Rounder
+ */
+export function compileRoundingRule(spec, options = {}) {
+  if (typeof spec === "string" && /^\s*[[{]/.test(spec)) {
+    try {
+      spec = JSON.parse(spec);
+    } catch (error) {
+      throw new PricingValidationError(`Invalid rounding rule JSON: ${error.message}`, { field: "rounding", value: spec, cause: error });
+    }
+  }
+  const compiled = compile(spec, options);
+  const rounder = (priceUnits) => compiled(priceUnits);
+  rounder.rule = spec;
+  rounder.toJSON = () => spec;
+  if (options.currency) rounder.currency = options.currency;
+  return rounder;
+}
+
+/**
+ * Resolve a rounding setting for a currency, the way profiles, packs and localized prices do
+ * @param {string|Function|Array|Object} rounding - A registry name, a rounder function or a rule spec
+ * @param {string} [currency] - ISO code the rounder is for
+ * @returns {(priceUnits: bigint) => bigint} Rounder; a registered rule is compiled for the currency
+ */
+export function resolveCurrencyRounder(rounding, currency) {
+  if (typeof rounding === "function") return rounding;
+  if (typeof rounding === "string") return resolveNamed(rounding, { currency });
+  return compileRoundingRule(rounding, { currency });
+}
+
+/**
+ * Compile a rule and register it by name in the `rounders` registry,
+ * so it can be used anywhere a rounding name is accepted.
+ * @param {string} name - Registry key
+ * @param {string|Array|Object} spec - Rule spec (or its JSON string)
+ * @param {Object} [options] - Same as compileRoundingRule, plus:
+ * @param {boolean} [options.override=false] - Allow replacing a registered rule (built-in rounders can't be replaced)
+ * @returns {(priceUnits: bigint) => bigint} The registered rounder
+ */
+export function registerRoundingRule(name, spec, { override = false, ...options } = {}) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new PricingValidationError("Rounding rule name must be a non-empty string.", { field: "name", value: name });
+  }
+  if (BUILT_IN_ROUNDERS.includes(name)) {
+    throw new PricingValidationError(`${name} is a built-in rounder and can't be replaced; choose another name.`, {
+      code: ERROR_CODES.ALREADY_REGISTERED, field: "name", value: name
+    });
+  }
+  if (Object.prototype.hasOwnProperty.call(rounders, name) && !override) {
+    throw new PricingValidationError(`Rounding rule already registered: ${name}. Pass { override: true } to replace it.`, {
+      code: ERROR_CODES.ALREADY_REGISTERED, field: "name", value: name
+    });
+  }
+  const rounder = compileRoundingRule(spec, options);
+  Object.defineProperty(rounder, "name", { value: name });
+  rounders[name] = rounder;
+  return rounder;
+}
@@ -0,0 +1,30 @@
+import { divRound, ROUNDING_MODES, unknownRoundingMode } from "../core/math.js";
+import { PricingRangeError, PricingValidationError } from "../errors.js";
+
+// Round to a multiple of `stepUnits` using any mode from ROUNDING_MODES.
+// e.g., roundToStep(5n, "floor") never exceeds the computed price (promotions, legal caps);
+//       roundToStep(5n, "halfUp") is 5-cent cash rounding (Canada, Sweden uses 100 öre).
+export function roundToStep(stepUnits = 5n, mode = "ceil") {
+  if (typeof stepUnits === "number") stepUnits = BigInt(stepUnits);
+  if (stepUnits <= 0n) throw new PricingRangeError("stepUnits must be positive.", { field: "stepUnits", value: stepUnits, min: 1n });
+  if (!ROUNDING_MODES.includes(mode)) throw unknownRoundingMode(mode, "mode");
+  return function round(priceUnits /* bigint */) {
+    return divRound(priceUnits, stepUnits, mode) * stepUnits;
+  };
+}
+
+// Round DOWN to the previous multiple of `stepUnits`
+export const floorStep = (stepUnits = 5n) => roundToStep(stepUnits, "floor");
+
+// Round to the nearest multiple of `stepUnits` (ties: halfUp, halfDown or halfEven)
+export const nearestStep = (stepUnits = 5n, mode = "halfUp") => {
+  if (!mode.startsWith("half")) {
+    throw new PricingValidationError("nearestStep mode must be halfUp, halfDown or halfEven.", {
+      field: "mode", value: mode, allowed: ["halfUp", "halfDown", "halfEven"]
+    });
+  }
+  return roundToStep(stepUnits, mode);
+};
+
+// Round toward zero to a multiple of `stepUnits` (same as floor for non-negative prices)
+export const towardZeroStep = (stepUnits = 5n) => roundToStep(stepUnits, "towardZero");
@@ -0,0 +1,379 @@
+/**
+ * Effective-dated price schedules and price history
+ *
+ * A schedule holds price records per SKU, each effective from an instant and optionally
+ * until one (exclusive). A record without `effectiveTo` runs until the SKU's next record
+ * starts, so scheduling a price change is just adding a record:
+ *
+ *   const schedule = createPriceSchedule({ timeZone: 'America/New_York' });
+ *   schedulePrice(schedule, { sku: 'SKU-1042', effectiveFrom: '2026-10-01', costUnits: 250n, markup: '30%', rounding: 'charm99' });
+ *   schedulePrice(schedule, { sku: 'SKU-1042', effectiveFrom: '2026-11-01', costUnits: 300n, markup: '30%', rounding: 'charm99' });
+ *   resolveScheduledPrice(schedule, 'SKU-1042', '2026-10-15').priceUnits; // 399n
+ *   diffScheduledPrices(schedule, '2026-10-15', '2026-11-15'); // [{ sku: 'SKU-1042', fromPriceUnits: 399n, toPriceUnits: 499n, ... }]
+ *
+ * Dates without an offset ('2026-11-01', '2026-11-01T06:00') are wall-clock times in the
+ * schedule's time zone (midnight for a bare date); timestamps with 'Z' or an offset, Date
+ * objects and epoch milliseconds are taken as is. Local times skipped by a DST change move
+ * forward by the change.
+ *
+ * Records with an explicit `effectiveTo` past the next record's start overlap it, and ones
+ * ending before the next record starts leave a gap; findScheduleIssues lists both. Where
+ * records overlap, the one that started last wins.
+ */
+
+import { calculatePriceDetailed } from './core/calculator.js';
+import { toBigInt, divFloor } from './core/math.js';
+import { CURRENCIES } from './currency.js';
+import { parseMarkup } from './config.js';
+import { resolveCurrencyRounder } from './rounding/index.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+const RECORD_FIELDS = [
+  'sku', 'effectiveFrom', 'effectiveTo', 'priceUnits', 'costUnits', 'currency',
+  'strategy', 'markup', 'rounding', 'profile', 'id', 'note'
+];
+
+/**
+ * Price schedule
+ * @typedef {Object} PriceSchedule
+ * @property {string} timeZone - IANA time zone for local dates (e.g., 'Europe/Berlin')
+ * @property {Map<string, PriceRecord[]>} skus - Records per SKU, by effectiveFrom
+ */
+
+/**
+ * Scheduled price
+ * @typedef {Object} PriceRecord
+ * @property {string} id - Record id (given, or '<sku>@<effectiveFrom ISO>')
+ * @property {string} sku - SKU
+ * @property {Date} effectiveFrom - First instant the price applies
+ * @property {Date|null} effectiveTo - Instant the price stops applying (exclusive); null runs until the next record
+ * @property {bigint} priceUnits - Price in smallest units
+ * @property {string} currency - ISO code
+ * @property {PriceBreakdown|null} breakdown - Calculator breakdown when the price was computed from a cost
+ * @property {string} [note] - Free text (e.g., 'Q4 cost increase')
+ */
+
+const formatters = new Map();
+
+// Cached Intl formatter that reads back wall-clock fields in a time zone
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    zoneFormatter(timeZone);
+  } catch (error) {
+    throw new PricingValidationError(`Unknown time zone: ${timeZone}`, { field: 'timeZone', value: timeZone, cause: error });
+  }
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds (e.g., -4h for New York in October)
+function zoneOffset(epochMs, timeZone) {
+  const fields = Object.fromEntries(zoneFormatter(timeZone).formatToParts(new Date(epochMs)).map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return asUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+// Wall-clock time in a time zone -> epoch milliseconds. A time skipped by a DST change has no
+// consistent offset; using the offset from before the change moves it forward by the change.
+function zonedToEpoch(wallMs, timeZone) {
+  const first = zoneOffset(wallMs, timeZone);
+  const second = zoneOffset(wallMs - first, timeZone);
+  if (first === second) return wallMs - first;
+  if (zoneOffset(wallMs - second, timeZone) === second) return wallMs - second;
+  return wallMs - Math.min(first, second);
+}
+
+const LOCAL_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+/**
+ * Parse a date for a schedule: a Date, epoch milliseconds, an ISO timestamp with 'Z' or an
+ * offset, or a local date/time interpreted in `timeZone`
+ * @param {Date|number|string} value - Date
+ * @param {string} [timeZone='UTC'] - IANA time zone for local dates
+ * @param {string} [field='date'] - Field reported in errors
+ * @returns {Date} Instant
+ */
+export function toScheduleDate(value, timeZone = 'UTC', field = 'date') {
+  let epochMs = NaN;
+  if (value instanceof Date) {
+    epochMs = value.getTime();
+  } else if (typeof value === 'number') {
+    epochMs = value;
+  } else if (typeof value === 'string') {
+    const local = LOCAL_DATE.exec(value.trim());
+    if (local) {
+      const [, y, mo, d, h = '0', mi = '0', s = '0', ms = '0'] = local;
+      const wallMs = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, '0'));
+      const wall = new Date(wallMs);
+      if (wall.getUTCMonth() === +mo - 1 && wall.getUTCDate() === +d && +h < 24 && +mi < 60 && +s < 60) {
+        checkTimeZone(timeZone);
+        epochMs = zonedToEpoch(wallMs, timeZone);
+      }
+    } else if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(value.trim())) {
+      epochMs = Date.parse(value.trim());
+    }
+  }
+  if (!Number.isFinite(epochMs)) {
+    throw new PricingValidationError(
+      `Invalid ${field}: ${value}. Use a Date, epoch milliseconds, an ISO timestamp or a local date like "2026-11-01".`,
+      { field, value }
+    );
+  }
+  return new Date(epochMs);
+}
+
+/**
+ * Create an empty price schedule, optionally with records
+ * @param {Object} [options]
+ * @param {string} [options.timeZone='UTC'] - IANA time zone for local dates
+ * @param {Object[]} [options.records] - Records to add (see schedulePrice)
+ * @returns {PriceSchedule} Schedule
+ */
+export function createPriceSchedule({ timeZone = 'UTC', records = [] } = {}) {
+  checkTimeZone(timeZone);
+  const schedule = { timeZone, skus: new Map() };
+  records.forEach((record, index) => {
+    try {
+      schedulePrice(schedule, record);
+    } catch (error) {
+      throw withErrorContext(error, { prefix: `Price record ${index + 1}: ` });
+    }
+  });
+  return schedule;
+}
+
+// Price of a record: given, or computed from a cost with the calculator
+function priceRecord(record) {
+  if (record.priceUnits !== undefined) {
+    if (record.costUnits !== undefined || record.markup !== undefined || record.profile !== undefined) {
+      throw new PricingValidationError('Price record sets both priceUnits and a cost to price; use one.', { field: 'priceUnits' });
+    }
+    const priceUnits = toBigInt(record.priceUnits, 'priceUnits');
+    if (priceUnits < 0n) {
+      throw new PricingRangeError('priceUnits cannot be negative.', { field: 'priceUnits', value: priceUnits, min: 0n });
+    }
+    return { priceUnits, currency: record.currency || 'USD', breakdown: null };
+  }
+  if (record.costUnits === undefined) {
+    throw new PricingValidationError('Price record needs priceUnits, or costUnits to price.', { field: 'priceUnits' });
+  }
+
+  if (record.profile !== undefined) {
+    const { profile, strategy, markup, rounding } = record;
+    const breakdown = calculatePriceDetailed(record.costUnits, { profile, strategy, markup, rounding });
+    if (record.currency && record.currency !== breakdown.currency) {
+      throw new PricingValidationError(`Currency ${record.currency} does not match the ${breakdown.currency} pricing profile.`, {
+        field: 'currency', value: record.currency, allowed: [breakdown.currency]
+      });
+    }
+    return { priceUnits: breakdown.priceUnits, currency: breakdown.currency, breakdown };
+  }
+  const { strategy = 'margin', rounding = 'identity', currency = 'USD' } = record;
+  const markup = typeof record.markup === 'string' ? parseMarkup(record.markup, strategy, currency) : record.markup ?? 0;
+  const round = resolveCurrencyRounder(rounding, currency);
+  const breakdown = {
+    ...calculatePriceDetailed(record.costUnits, markup, strategy, round),
+    rounding: typeof rounding === 'string' ? rounding : round.rule ? 'rule' : round.name || 'custom'
+  };
+  return { priceUnits: breakdown.priceUnits, currency, breakdown };
+}
+
+/**
+ * Add a price record to a schedule
+ * @param {PriceSchedule} schedule - Schedule from createPriceSchedule
+ * @param {Object} record
+ * @param {string} record.sku - SKU
+ * @param {Date|number|string} record.effectiveFrom - When the price starts (see toScheduleDate)
+ * @param {Date|number|string} [record.effectiveTo] - When it stops (exclusive); omit to run until the next record
+ * @param {bigint|number} [record.priceUnits] - Price in smallest units, or:
+ * @param {bigint|number} [record.costUnits] - Cost to price with strategy / markup / rounding, or with a profile
+ * @param {string|function|Object} [record.rounding='identity'] - Rounder name, function or rule spec, compiled
+ *   for the record's currency (as in profiles)
+ * @param {string} [record.currency='USD'] - ISO code
+ * @param {string} [record.id] - Record id (default '<sku>@<effectiveFrom ISO>')
+ * @param {string} [record.note] - Free text
+ * @returns {PriceRecord} The stored record
+ */
+export function schedulePrice(schedule, record) {
+  if (!schedule || !(schedule.skus instanceof Map)) {
+    throw new PricingValidationError('schedulePrice needs a schedule from createPriceSchedule().', { field: 'schedule' });
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new PricingValidationError('Price record must be an object.', { field: 'record' });
+  }
+  const unknown = Object.keys(record).filter((key) => !RECORD_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new PricingValidationError(`Price record has unknown field(s) ${unknown.join(', ')}. Supported fields: ${RECORD_FIELDS.join(', ')}`, {
+      field: unknown[0], allowed: RECORD_FIELDS
+    });
+  }
+  if (typeof record.sku !== 'string' || record.sku === '') {
+    throw new PricingValidationError('Price record needs a non-empty string sku.', { field: 'sku', value: record.sku });
+  }
+  if (record.currency !== undefined && !CURRENCIES[record.currency]) {
+    throw new UnknownCurrencyError(record.currency);
+  }
+
+  const effectiveFrom = toScheduleDate(record.effectiveFrom, schedule.timeZone, 'effectiveFrom');
+  const effectiveTo = record.effectiveTo === undefined || record.effectiveTo === null
+    ? null
+    : toScheduleDate(record.effectiveTo, schedule.timeZone, 'effectiveTo');
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    throw new PricingRangeError(`effectiveTo must be after effectiveFrom (${effectiveFrom.toISOString()}).`, {
+      field: 'effectiveTo', value: effectiveTo, min: effectiveFrom
+    });
+  }
+
+  const stored = {
+    id: record.id ?? `${record.sku}@${effectiveFrom.toISOString()}`,
+    sku: record.sku,
+    effectiveFrom,
+    effectiveTo,
+    ...priceRecord(record),
+    ...(record.note !== undefined && { note: record.note })
+  };
+  const records = schedule.skus.get(record.sku) || [];
+  // Stable by start: records added later sort after earlier ones with the same start
+  const at = records.findIndex((r) => r.effectiveFrom > effectiveFrom);
+  records.splice(at === -1 ? records.length : at, 0, stored);
+  schedule.skus.set(record.sku, records);
+  return stored;
+}
+
+// When a record stops applying: its effectiveTo, else the next record's start (null if open)
+function endOf(records, index) {
+  const record = records[index];
+  if (record.effectiveTo) return record.effectiveTo;
+  const next = records.slice(index + 1).find((r) => r.effectiveFrom > record.effectiveFrom);
+  return next ? next.effectiveFrom : null;
+}
+
+/**
+ * Price record active for a SKU at an instant
+ * @param {PriceSchedule} schedule - Schedule
+ * @param {string} sku - SKU
+ * @param {Date|number|string} [at=now] - Instant (local dates use the schedule's time zone)
+ * @returns {PriceRecord|null} Active record (the latest-starting one if records overlap), or null
+ */
+export function resolveScheduledPrice(schedule, sku, at = new Date()) {
+  const instant = toScheduleDate(at, schedule.timeZone, 'at');
+  const records = schedule.skus.get(sku) || [];
+  for (let index = records.length - 1; index >= 0; index--) {
+    const end = endOf(records, index);
+    if (records[index].effectiveFrom <= instant && (end === null || instant < end)) return records[index];
+  }
+  return null;
+}
+
+/**
+ * Price history of a SKU: the price in effect over time, oldest first
+ * @param {PriceSchedule} schedule - Schedule
+ * @param {string} sku - SKU
+ * @returns {Array<{from: Date, to: Date|null, priceUnits: bigint, currency: string, record: PriceRecord}>}
+ *   Periods with a price (`to` is exclusive; null for the open-ended last one); gaps have no period
+ */
+export function getPriceHistory(schedule, sku) {
+  const records = schedule.skus.get(sku) || [];
+  const bounds = [...new Set(records.flatMap((r, index) => [r.effectiveFrom, endOf(records, index)])
+    .filter(Boolean).map((d) => d.getTime()))].sort((a, b) => a - b);
+
+  const periods = [];
+  bounds.forEach((start, index) => {
+    const record = resolveScheduledPrice(schedule, sku, start);
+    if (!record) return;
+    const last = periods[periods.length - 1];
+    if (last && last.record === record && last.to.getTime() === start) {
+      last.to = index + 1 < bounds.length ? new Date(bounds[index + 1]) : null;
+      return;
+    }
+    periods.push({
+      from: new Date(start),
+      to: index + 1 < bounds.length ? new Date(bounds[index + 1]) : null,
+      priceUnits: record.priceUnits,
+      currency: record.currency,
+      record
+    });
+  });
+  return periods;
+}
+
+/**
+ * Overlapping and gapped records
+ * @param {PriceSchedule} schedule - Schedule
+ * @param {Object} [options]
+ * @param {string} [options.sku] - Only check this SKU
+ * @returns {Array<{type: 'overlap'|'gap', sku: string, from: Date, to: Date, records: string[]}>}
+ *   Issues by SKU and time; `records` are the ids involved (for a gap: the record before and after)
+ */
+export function findScheduleIssues(schedule, { sku } = {}) {
+  const issues = [];
+  const skus = sku === undefined ? [...schedule.skus.keys()].sort() : [sku];
+  skus.forEach((id) => {
+    const records = schedule.skus.get(id) || [];
+    records.forEach((record, index) => {
+      const end = endOf(records, index);
+      records.slice(index + 1).forEach((later) => {
+        if (end === null || later.effectiveFrom < end || later.effectiveFrom.getTime() === record.effectiveFrom.getTime()) {
+          const laterEnd = endOf(records, records.indexOf(later));
+          const to = end === null ? laterEnd : laterEnd === null || end < laterEnd ? end : laterEnd;
+          issues.push({ type: 'overlap', sku: id, from: later.effectiveFrom, to, records: [record.id, later.id] });
+        }
+      });
+      const next = records[index + 1];
+      if (next && record.effectiveTo && record.effectiveTo < next.effectiveFrom) {
+        issues.push({ type: 'gap', sku: id, from: record.effectiveTo, to: next.effectiveFrom, records: [record.id, next.id] });
+      }
+    });
+  });
+  return issues;
+}
+
+/**
+ * SKUs whose price differs between two instants (e.g., for shelf-label reprints)
+ * @param {PriceSchedule} schedule - Schedule
+ * @param {Date|number|string} from - Earlier instant
+ * @param {Date|number|string} to - Later instant
+ * @returns {Array<{sku: string, fromPriceUnits: bigint|null, toPriceUnits: bigint|null, changeUnits: bigint|null,
+ *   changeBps: bigint|null, currency: string, fromRecord: PriceRecord|null, toRecord: PriceRecord|null}>}
+ *   Changes by SKU; a null price means the SKU had none then (changeBps is null then, or when the old price was 0)
+ */
+export function diffScheduledPrices(schedule, from, to) {
+  const start = toScheduleDate(from, schedule.timeZone, 'from');
+  const end = toScheduleDate(to, schedule.timeZone, 'to');
+  const changes = [];
+  [...schedule.skus.keys()].sort().forEach((sku) => {
+    const before = resolveScheduledPrice(schedule, sku, start);
+    const after = resolveScheduledPrice(schedule, sku, end);
+    const fromPriceUnits = before ? before.priceUnits : null;
+    const toPriceUnits = after ? after.priceUnits : null;
+    if (fromPriceUnits === toPriceUnits && (!before || before.currency === after.currency)) return;
+
+    const comparable = before && after && before.currency === after.currency;
+    const changeUnits = comparable ? toPriceUnits - fromPriceUnits : null;
+    changes.push({
+      sku,
+      fromPriceUnits,
+      toPriceUnits,
+      changeUnits,
+      changeBps: changeUnits === null || fromPriceUnits === 0n ? null : divFloor(changeUnits * 10000n, fromPriceUnits),
+      currency: (after || before).currency,
+      fromRecord: before,
+      toRecord: after
+    });
+  });
+  return changes;
+}
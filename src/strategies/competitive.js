@@ -0,0 +1,205 @@
+import { divCeil, divFloor, divRound, toBigInt } from "../core/math.js";
+import { PricingValidationError, PricingRangeError, withErrorContext } from "../errors.js";
+import { margin } from "./margin.js";
+import { costPlus } from "./costPlus.js";
+
+const ONE = 10000n;
+
+// How competitor prices set the price
+//  - matchLowest: the lowest competitor price
+//  - beatLowest: the lowest competitor price less beatBps (rounded down) or beatUnits
+//  - medianBand: the cost-based price moved into median ± bandBps
+export const COMPETITIVE_RULES = ["matchLowest", "beatLowest", "medianBand"];
+
+// Strategies that can set the cost-based minimum
+const FLOOR_STRATEGIES = { margin, costPlus };
+
+/**
+ * Normalized markup of the competitive strategy
+ * @typedef {Object} CompetitiveRule
+ * @property {string} rule - One of COMPETITIVE_RULES
+ * @property {{name: string|null, priceUnits: bigint}[]} competitors - Competitor prices (name null for arrays)
+ * @property {bigint|null} beatBps - beatLowest: undercut by this share of the lowest price
+ * @property {bigint|null} beatUnits - beatLowest: undercut by this amount
+ * @property {bigint|null} bandBps - medianBand: half-width of the band around the median
+ * @property {{strategy: string, markup: bigint}} floor - Cost-based minimum (margin or costPlus, in bps)
+ */
+
+function invalid(field, message, value) {
+  return new PricingValidationError(message, { field, value });
+}
+
+function toPriceUnits(value, field) {
+  const units = toBigInt(value, field);
+  if (units <= 0n) {
+    throw new PricingRangeError(`${field} must be positive, got: ${units}`, { field, value: units, min: 1n });
+  }
+  return units;
+}
+
+function toNonNegative(value, field) {
+  const units = toBigInt(value, field);
+  if (units < 0n) {
+    throw new PricingRangeError(`${field} cannot be negative.`, { field, value: units, min: 0n });
+  }
+  return units;
+}
+
+function toBps(value, field, max) {
+  const bps = toBigInt(value, field);
+  if (bps < 0n || bps > max) {
+    throw new PricingRangeError(`${field} must be between 0 and ${max}, got: ${bps}`, { field, value: bps, min: 0n, max });
+  }
+  return bps;
+}
+
+function normalizeCompetitors(competitors) {
+  const entries = Array.isArray(competitors)
+    ? competitors.map((price, index) => [null, price, `competitors[${index}]`])
+    : competitors && typeof competitors === "object"
+      ? Object.entries(competitors).map(([name, price]) => [name, price, `competitors.${name}`])
+      : [];
+  if (entries.length === 0) {
+    throw invalid("competitors", "Competitive pricing needs at least one competitor price (an array or { name: priceUnits }).", competitors);
+  }
+  return entries.map(([name, price, field]) => ({ name, priceUnits: toPriceUnits(price, field) }));
+}
+
+function normalizeFloor(floor = {}) {
+  const { strategy = "margin", markup = 0n } = floor;
+  const definition = Object.prototype.hasOwnProperty.call(FLOOR_STRATEGIES, strategy) ? FLOOR_STRATEGIES[strategy] : undefined;
+  if (!definition) {
+    throw new PricingValidationError(`Unknown floor strategy: ${strategy}. Supported: ${Object.keys(FLOOR_STRATEGIES).join(", ")}`, {
+      field: "floor.strategy", value: strategy, allowed: Object.keys(FLOOR_STRATEGIES)
+    });
+  }
+  const bps = toBigInt(markup, "floor.markup");
+  try {
+    definition.validate(bps);
+  } catch (error) {
+    const wrapped = withErrorContext(error, { prefix: "floor " });
+    wrapped.field = "floor.markup";
+    throw wrapped;
+  }
+  return { strategy, markup: bps };
+}
+
+/**
+ * Validate a competitive rule spec and fill in defaults
+ * @param {Object} spec - Rule spec
+ * @param {Array|Object} spec.competitors - Competitor prices in smallest units: [459n, 479n] or { acme: 459n, ... }
+ * @param {string} [spec.rule='matchLowest'] - One of COMPETITIVE_RULES
+ * @param {bigint|number} [spec.beatBps] - beatLowest: undercut by this many bps of the lowest price
+ * @param {bigint|number} [spec.beatUnits] - beatLowest: undercut by this many smallest units
+ * @param {bigint|number} [spec.bandBps] - medianBand: allowed distance from the median, in bps
+ * @param {Object} [spec.floor] - Cost-based minimum: { strategy: 'margin'|'costPlus', markup: bps } (default: cost)
+ * @returns {CompetitiveRule} Normalized rule
+ */
+export function defineCompetitiveRule(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw invalid("markup", "The competitive strategy takes a rule object as its markup: { competitors, rule, ... }.", spec);
+  }
+  const { rule = "matchLowest", beatBps, beatUnits, bandBps } = spec;
+  if (!COMPETITIVE_RULES.includes(rule)) {
+    throw new PricingValidationError(`Unknown competitive rule: ${rule}. Supported rules: ${COMPETITIVE_RULES.join(", ")}`, {
+      field: "rule", value: rule, allowed: COMPETITIVE_RULES
+    });
+  }
+
+  const normalized = { rule, competitors: normalizeCompetitors(spec.competitors), beatBps: null, beatUnits: null, bandBps: null };
+  if (rule === "beatLowest") {
+    if ((beatBps === undefined) === (beatUnits === undefined)) {
+      throw invalid("beatBps", "beatLowest needs exactly one of beatBps or beatUnits.", spec);
+    }
+    if (beatBps !== undefined) normalized.beatBps = toBps(beatBps, "beatBps", ONE - 1n);
+    else normalized.beatUnits = toNonNegative(beatUnits, "beatUnits");
+  }
+  if (rule === "medianBand") {
+    if (bandBps === undefined) throw invalid("bandBps", "medianBand needs bandBps (e.g., 500 for ±5% of the median).", spec);
+    normalized.bandBps = toBps(bandBps, "bandBps", ONE - 1n);
+  }
+  normalized.floor = normalizeFloor(spec.floor);
+  return normalized;
+}
+
+// Middle price, or the mean of the two middle prices rounded half up
+function median(prices) {
+  const sorted = [...prices].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : divRound(sorted[middle - 1] + sorted[middle], 2n);
+}
+
+/**
+ * How a competitive price is reached (before cosmetic rounding)
+ * @typedef {Object} CompetitivePriceDetails
+ * @property {string} rule - Rule applied
+ * @property {string|null} lowestCompetitor - Name of the cheapest competitor (null for unnamed prices)
+ * @property {bigint} lowestPriceUnits - Lowest competitor price
+ * @property {bigint} medianPriceUnits - Median competitor price
+ * @property {bigint|null} minPriceUnits - Lowest price the rule allows (medianBand only)
+ * @property {bigint} maxPriceUnits - Highest price the rule allows
+ * @property {bigint} competitivePriceUnits - Price the rule asks for
+ * @property {bigint} floorPriceUnits - Cost-based minimum from the floor strategy
+ * @property {bigint} rawPriceUnits - The higher of the two
+ * @property {'competitive'|'cost'} constraint - 'cost' when the price is the cost-based minimum
+ */
+
+/**
+ * Apply a competitive rule to a cost and report which constraint set the price
+ * @param {bigint} cost - Cost in smallest currency units
+ * @param {CompetitiveRule} rule - Normalized rule (see defineCompetitiveRule)
+ * @returns {CompetitivePriceDetails} Details
+ */
+export function explainCompetitivePrice(cost, rule) {
+  const prices = rule.competitors.map((c) => c.priceUnits);
+  const lowest = rule.competitors.reduce((min, c) => (c.priceUnits < min.priceUnits ? c : min));
+  const medianPriceUnits = median(prices);
+  const floorPriceUnits = FLOOR_STRATEGIES[rule.floor.strategy].apply(cost, rule.floor.markup);
+
+  let minPriceUnits = null;
+  let maxPriceUnits;
+  let competitivePriceUnits;
+  if (rule.rule === "medianBand") {
+    minPriceUnits = divCeil(medianPriceUnits * (ONE - rule.bandBps), ONE);
+    maxPriceUnits = divFloor(medianPriceUnits * (ONE + rule.bandBps), ONE);
+    competitivePriceUnits = floorPriceUnits < minPriceUnits ? minPriceUnits
+      : floorPriceUnits > maxPriceUnits ? maxPriceUnits
+      : floorPriceUnits;
+  } else {
+    maxPriceUnits = rule.rule === "matchLowest" ? lowest.priceUnits
+      : rule.beatBps !== null ? divFloor(lowest.priceUnits * (ONE - rule.beatBps), ONE)
+      : lowest.priceUnits - rule.beatUnits;
+    if (maxPriceUnits < 0n) maxPriceUnits = 0n;
+    competitivePriceUnits = maxPriceUnits;
+  }
+
+  const costWins = floorPriceUnits >= competitivePriceUnits;
+  return {
+    rule: rule.rule,
+    lowestCompetitor: lowest.name,
+    lowestPriceUnits: lowest.priceUnits,
+    medianPriceUnits,
+    minPriceUnits,
+    maxPriceUnits,
+    competitivePriceUnits,
+    floorPriceUnits,
+    rawPriceUnits: costWins ? floorPriceUnits : competitivePriceUnits,
+    constraint: costWins ? "cost" : "competitive"
+  };
+}
+
+// Price against competitor prices, never below a margin/costPlus minimum
+export const competitive = {
+  name: "competitive",
+  description: "Match, beat or band competitor prices, bounded by a cost-based minimum",
+  formula: "price = max(competitive(competitors), floor(cost))",
+  markupUnit: "object",
+  normalize: defineCompetitiveRule,
+  apply(cost, rule) {
+    return explainCompetitivePrice(cost, rule).rawPriceUnits;
+  },
+  // Rounding never takes the price below the cost-based minimum
+  minPrice(cost, rule) {
+    return FLOOR_STRATEGIES[rule.floor.strategy].apply(cost, rule.floor.markup);
+  }
+};
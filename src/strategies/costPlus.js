@@ -0,0 +1,52 @@
+import { divCeil, divFloor } from "../core/math.js";
+import { PricingRangeError } from "../errors.js";
+
+const ONE = 10000n;
+
+// Fixed percentage added to cost: price = cost * (1 + markup)
+export const costPlus = {
+  name: "costPlus",
+  description: "Fixed percentage added to cost",
+  formula: "price = cost * (1 + markup)",
+  markupUnit: "bps",
+  validate(markup) {
+    if (markup < 0n) {
+      throw new PricingRangeError("costPlus markup cannot be negative.", { field: "markup", value: markup, min: 0n });
+    }
+  },
+  apply(cost, markup) {
+    return (cost * (ONE + markup)) / ONE;
+  },
+  // Forward rounds down, so the implied markup rounds up: apply(cost, m) >= price
+  solveMarkup(price, cost) {
+    return divCeil((price - cost) * ONE, cost);
+  },
+  // Largest cost whose price does not exceed `price`
+  solveMaxCost(price, markup) {
+    return divFloor((price + 1n) * ONE - 1n, ONE + markup);
+  }
+};
+
+// Percentage markup on cost: price = cost * (1 + markup)
+export const markupOnCost = {
+  name: "markupOnCost",
+  description: "Percentage markup on cost",
+  formula: "price = cost * (1 + markup)",
+  markupUnit: "bps",
+  validate(markup) {
+    if (markup < 0n) {
+      throw new PricingRangeError("markupOnCost cannot be negative.", { field: "markup", value: markup, min: 0n });
+    }
+  },
+  apply(cost, markup) {
+    return (cost * (ONE + markup)) / ONE;
+  },
+  // Forward rounds down, so the implied markup rounds up: apply(cost, m) >= price
+  solveMarkup(price, cost) {
+    return divCeil((price - cost) * ONE, cost);
+  },
+  // Largest cost whose price does not exceed `price`
+  solveMaxCost(price, markup) {
+    return divFloor((price + 1n) * ONE - 1n, ONE + markup);
+  }
+};
@@ -0,0 +1,23 @@
+import { PricingRangeError } from "../errors.js";
+
+// Fixed amount added to cost: price = cost + markup (markup in smallest units)
+export const fixedAmount = {
+  name: "fixedAmount",
+  description: "Fixed amount added to cost",
+  formula: "price = cost + markup",
+  markupUnit: "units",
+  validate(markup) {
+    if (markup < 0n) {
+      throw new PricingRangeError("fixedAmount markup cannot be negative.", { field: "markup", value: markup, min: 0n });
+    }
+  },
+  apply(cost, markup) {
+    return cost + markup;
+  },
+  solveMarkup(price, cost) {
+    return price - cost;
+  },
+  solveMaxCost(price, markup) {
+    return price - markup;
+  }
+};
@@ -0,0 +1,128 @@
+import { margin, targetMargin } from "./margin.js";
+import { costPlus, markupOnCost } from "./costPlus.js";
+import { keystone, keystonePlus } from "./keystone.js";
+import { fixedAmount } from "./fixedAmount.js";
+import { competitive } from "./competitive.js";
+import { PricingValidationError, UnknownStrategyError, ERROR_CODES } from "../errors.js";
+
+/**
+ * Markup strategy definition
+ * @typedef {Object} StrategyDefinition
+ * @property {string} name - Registry key (e.g., 'margin')
+ * @property {string} [description] - Human-readable description
+ * @property {string} [formula] - Formula shown in listings (e.g., 'price = cost * 2')
+ * @property {'bps'|'units'|'none'|string} [markupUnit] - What the markup value means
+ * @property {(markupValue: any) => any} [normalize] - Convert the raw markup input (default: BigInt)
+ * @property {(markup: any) => void} [validate] - Throw if the normalized markup is invalid
+ * @property {(cost: bigint, markup: any) => bigint} apply - Compute the raw price
+ * @property {(cost: bigint, markup: any) => bigint} [minPrice] - Lowest price allowed after rounding (see roundAboveMinimum)
+ * @property {(price: bigint, cost: bigint) => bigint} [solveMarkup] - Inverse: markup implied by a price
+ * @property {(price: bigint, markup: any) => bigint} [solveMaxCost] - Inverse: largest cost priced at or below `price`
+ */
+
+// Registry for pluggable markup strategies.
+// Add new strategies with registerStrategy() without touching the base calculator.
+export const strategies = {
+  margin,        // margin on selling price
+  costPlus,      // percentage added to cost
+  keystone,      // double the cost
+  keystonePlus,  // keystone plus additional percentage
+  fixedAmount,   // fixed amount (smallest units) added to cost
+  targetMargin,  // target margin (same formula as margin)
+  markupOnCost,  // percentage markup on cost (same formula as costPlus)
+  competitive,   // match/beat/band competitor prices, never below a cost-based minimum
+};
+
+// Default markup normalization: numbers are rounded to whole bps/units.
+export function toMarkupBigInt(markupValue) {
+  if (typeof markupValue === "bigint") return markupValue;
+  const rounded = Math.round(markupValue);
+  if (!Number.isFinite(rounded)) {
+    throw new PricingValidationError(`Markup must be a finite number or bigint, got: ${markupValue}`, { field: "markup", value: markupValue });
+  }
+  return BigInt(rounded);
+}
+
+function defineStrategy(name, definition) {
+  if (typeof definition === "function") {
+    definition = { apply: definition };
+  }
+  if (!definition || typeof definition.apply !== "function") {
+    throw new PricingValidationError(`Strategy "${name}" must be a function or an object with an apply(cost, markup) function.`, {
+      field: "strategy", value: name
+    });
+  }
+  return {
+    description: "",
+    formula: "",
+    markupUnit: "bps",
+    ...definition,
+    name
+  };
+}
+
+/**
+ * Register a markup strategy by name
+ * @param {string} name - Registry key
+ * @param {StrategyDefinition|Function} definition - Strategy definition or apply(cost, markup) function
+ * @param {Object} [options]
+ * @param {boolean} [options.override=false] - Allow replacing an existing strategy
+ * @returns {StrategyDefinition} The registered definition
+ */
+export function registerStrategy(name, definition, { override = false } = {}) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new PricingValidationError("Strategy name must be a non-empty string.", { field: "name", value: name });
+  }
+  if (name in strategies && !override) {
+    throw new PricingValidationError(`Markup strategy already registered: ${name}. Pass { override: true } to replace it.`, {
+      code: ERROR_CODES.ALREADY_REGISTERED, field: "name", value: name
+    });
+  }
+  const strategy = defineStrategy(name, definition);
+  strategies[name] = strategy;
+  return strategy;
+}
+
+/**
+ * Remove a markup strategy from the registry
+ * @param {string} name - Registry key
+ * @returns {boolean} Whether a strategy was removed
+ */
+export function unregisterStrategy(name) {
+  if (!(name in strategies)) return false;
+  delete strategies[name];
+  return true;
+}
+
+// Resolve a strategy by key (string) or accept a custom definition/function.
+export function resolveStrategy(strategy) {
+  if (typeof strategy === "function" || (strategy && typeof strategy === "object")) {
+    return defineStrategy(strategy.name || "custom", strategy);
+  }
+  const s = Object.prototype.hasOwnProperty.call(strategies, strategy) ? strategies[strategy] : undefined;
+  if (!s) {
+    throw new UnknownStrategyError(strategy, getSupportedStrategies());
+  }
+  return s;
+}
+
+/**
+ * Get all registered strategy names
+ * @returns {string[]} Array of strategy names
+ */
+export function getSupportedStrategies() {
+  return Object.keys(strategies);
+}
+
+/**
+ * Get metadata for all registered strategies (for listings and help output)
+ * @returns {{name: string, description: string, formula: string, markupUnit: string}[]}
+ */
+export function listStrategies() {
+  return Object.values(strategies).map(({ name, description = "", formula = "", markupUnit = "bps" }) => ({
+    name,
+    description,
+    formula,
+    markupUnit
+  }));
+}
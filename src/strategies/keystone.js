@@ -0,0 +1,44 @@
+import { divCeil, divFloor } from "../core/math.js";
+import { PricingRangeError } from "../errors.js";
+
+const ONE = 10000n;
+
+// Double the cost: price = cost * 2 (markup is ignored)
+export const keystone = {
+  name: "keystone",
+  description: "Double the cost",
+  formula: "price = cost * 2",
+  markupUnit: "none",
+  normalize() {
+    return 0n;
+  },
+  apply(cost) {
+    return cost * 2n;
+  },
+  solveMaxCost(price) {
+    return divFloor(price, 2n);
+  }
+};
+
+// Keystone plus additional percentage: price = cost * 2 * (1 + markup)
+export const keystonePlus = {
+  name: "keystonePlus",
+  description: "Keystone plus additional percentage",
+  formula: "price = cost * 2 * (1 + markup)",
+  markupUnit: "bps",
+  validate(markup) {
+    if (markup < 0n) {
+      throw new PricingRangeError("keystonePlus markup cannot be negative.", { field: "markup", value: markup, min: 0n });
+    }
+  },
+  apply(cost, markup) {
+    return (cost * 2n * (ONE + markup)) / ONE;
+  },
+  // Forward rounds down, so the implied markup rounds up: apply(cost, m) >= price
+  solveMarkup(price, cost) {
+    return divCeil((price - 2n * cost) * ONE, 2n * cost);
+  },
+  solveMaxCost(price, markup) {
+    return divFloor((price + 1n) * ONE - 1n, 2n * (ONE + markup));
+  }
+};
@@ -0,0 +1,52 @@
+import { divCeil, divFloor } from "../core/math.js";
+import { PricingRangeError } from "../errors.js";
+
+const ONE = 10000n;
+
+// Margin on selling price: price = cost / (1 - margin)
+export const margin = {
+  name: "margin",
+  description: "Margin on selling price",
+  formula: "price = cost / (1 - margin)",
+  markupUnit: "bps",
+  validate(markup) {
+    if (markup < 0n || markup >= ONE) {
+      throw new PricingRangeError("marginBps must be between 0 and 9999 (i.e., < 100%).", { field: "marginBps", value: markup, min: 0n, max: ONE - 1n });
+    }
+  },
+  apply(cost, markup) {
+    return divCeil(cost * ONE, ONE - markup);
+  },
+  // Forward rounds up, so the implied margin rounds down: apply(cost, m) <= price
+  solveMarkup(price, cost) {
+    return divFloor((price - cost) * ONE, price);
+  },
+  // Largest cost whose price does not exceed `price`
+  solveMaxCost(price, markup) {
+    return divFloor(price * (ONE - markup), ONE);
+  }
+};
+
+// Target margin on cost: price = cost / (1 - margin)
+export const targetMargin = {
+  name: "targetMargin",
+  description: "Target margin on cost",
+  formula: "price = cost / (1 - margin)",
+  markupUnit: "bps",
+  validate(markup) {
+    if (markup < 0n || markup >= ONE) {
+      throw new PricingRangeError("targetMargin must be between 0 and 9999 (i.e., < 100%).", { field: "targetMargin", value: markup, min: 0n, max: ONE - 1n });
+    }
+  },
+  apply(cost, markup) {
+    return divCeil(cost * ONE, ONE - markup);
+  },
+  // Forward rounds up, so the implied margin rounds down: apply(cost, m) <= price
+  solveMarkup(price, cost) {
+    return divFloor((price - cost) * ONE, price);
+  },
+  // Largest cost whose price does not exceed `price`
+  solveMaxCost(price, markup) {
+    return divFloor(price * (ONE - markup), ONE);
+  }
+};
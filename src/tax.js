@@ -0,0 +1,203 @@
+/**
+ * Tax utilities for the pricing engine: VAT/GST/sales tax in basis points.
+ *
+ * All amounts are bigint smallest units. Taxes are applied in order; a `compound`
+ * tax is charged on the net price plus every tax before it, a simple tax on the net only.
+ */
+
+import { divFloor, divRound, toBigInt, unknownRoundingMode, ROUNDING_MODES } from './core/math.js';
+import { PricingRangeError, PricingValidationError } from './errors.js';
+import { calculatePriceDetailed, roundAboveMinimum } from './core/calculator.js';
+import { resolveRounder } from './rounding/index.js';
+
+const ONE = 10000n;
+
+/**
+ * Tax rate definition
+ * @typedef {Object} TaxRate
+ * @property {string} [name] - Label for reports (e.g., 'VAT', 'CGST')
+ * @property {bigint|number} rateBps - Rate in basis points (e.g., 2000 for 20%)
+ * @property {boolean} [compound=false] - Charge on net + previous taxes
+ */
+
+/**
+ * Tax breakdown
+ * @typedef {Object} TaxBreakdown
+ * @property {bigint} netUnits - Tax-exclusive amount
+ * @property {bigint} taxUnits - Total tax
+ * @property {bigint} grossUnits - Tax-inclusive amount (netUnits + taxUnits)
+ * @property {{name: string, rateBps: bigint, compound: boolean, taxUnits: bigint}[]} taxes - Per-tax amounts
+ */
+
+// Accept 2000, 2000n, { rateBps: 2000 } or an array of those
+function normalizeTaxes(taxes) {
+  const list = Array.isArray(taxes) ? taxes : [taxes];
+  return list.map((tax, index) => {
+    const spec = typeof tax === 'object' && tax !== null ? tax : { rateBps: tax };
+    const rateBps = typeof spec.rateBps === 'bigint' ? spec.rateBps : toBigInt(Math.round(spec.rateBps), 'rateBps');
+    if (rateBps < 0n) {
+      throw new PricingRangeError(`Tax rateBps cannot be negative: ${spec.name || `tax ${index + 1}`}`, { field: 'rateBps', value: rateBps, min: 0n });
+    }
+    return { name: spec.name || `tax${index + 1}`, rateBps, compound: Boolean(spec.compound) };
+  });
+}
+
+function toUnits(value, name) {
+  const units = toBigInt(value, name);
+  if (units < 0n) {
+    throw new PricingRangeError(`${name} cannot be negative.`, { field: name, value: units, min: 0n });
+  }
+  return units;
+}
+
+function checkMode(mode) {
+  if (!ROUNDING_MODES.includes(mode)) throw unknownRoundingMode(mode);
+}
+
+// Tax amounts on a net price, each rounded with `mode`
+function taxesOnNet(net, rates, mode) {
+  let charged = 0n;
+  return rates.map((tax) => {
+    const base = tax.compound ? net + charged : net;
+    const taxUnits = divRound(base * tax.rateBps, ONE, mode);
+    charged += taxUnits;
+    return { ...tax, taxUnits };
+  });
+}
+
+function breakdown(net, taxes) {
+  const taxUnits = taxes.reduce((sum, tax) => sum + tax.taxUnits, 0n);
+  return { netUnits: net, taxUnits, grossUnits: net + taxUnits, taxes };
+}
+
+/**
+ * Effective gross/net multiplier for a set of taxes, as an exact fraction
+ * (gross = net * numerator / denominator before rounding)
+ * @param {TaxRate|TaxRate[]|number|bigint} taxes - Tax rate(s)
+ * @returns {{numerator: bigint, denominator: bigint}} Multiplier
+ */
+export function getTaxMultiplier(taxes) {
+  const rates = normalizeTaxes(taxes);
+  const denominator = ONE ** BigInt(rates.length);
+  let charged = 0n;
+  rates.forEach((tax) => {
+    const base = tax.compound ? denominator + charged : denominator;
+    charged += (base * tax.rateBps) / ONE; // exact: every term keeps a factor of ONE
+  });
+  return { numerator: denominator + charged, denominator };
+}
+
+/**
+ * Add tax to a tax-exclusive amount
+ * @param {bigint|number} netUnits - Tax-exclusive amount in smallest units
+ * @param {TaxRate|TaxRate[]|number|bigint} taxes - Tax rate(s)
+ * @param {Object} [options]
+ * @param {string} [options.taxRounding='halfUp'] - Rounding mode for each tax amount
+ * @returns {TaxBreakdown} Breakdown
+ */
+export function addTax(netUnits, taxes, { taxRounding = 'halfUp' } = {}) {
+  checkMode(taxRounding);
+  const net = toUnits(netUnits, 'netUnits');
+  return breakdown(net, taxesOnNet(net, normalizeTaxes(taxes), taxRounding));
+}
+
+/**
+ * Back-calculate net price and tax from a tax-inclusive amount.
+ * The net is rounded with `netRounding`; taxes are then computed on the net and any
+ * rounding remainder is assigned to the last tax, so netUnits + taxUnits === grossUnits
+ * (earlier taxes are capped so no tax amount goes negative).
+ * @param {bigint|number} grossUnits - Tax-inclusive amount in smallest units
+ * @param {TaxRate|TaxRate[]|number|bigint} taxes - Tax rate(s)
+ * @param {Object} [options]
+ * @param {string} [options.netRounding='halfUp'] - Rounding mode for the net amount
+ * @param {string} [options.taxRounding='halfUp'] - Rounding mode for each tax amount
+ * @returns {TaxBreakdown} Breakdown
+ */
+export function extractTax(grossUnits, taxes, { netRounding = 'halfUp', taxRounding = 'halfUp' } = {}) {
+  checkMode(netRounding);
+  checkMode(taxRounding);
+  const gross = toUnits(grossUnits, 'grossUnits');
+  const rates = normalizeTaxes(taxes);
+  const { numerator, denominator } = getTaxMultiplier(rates);
+
+  const net = divRound(gross * denominator, numerator, netRounding);
+  const computed = taxesOnNet(net, rates, taxRounding);
+  // Earlier taxes are capped at what is left of gross - net, so the last one never goes negative
+  let remaining = gross - net;
+  computed.forEach((tax, index) => {
+    tax.taxUnits = index === computed.length - 1 || tax.taxUnits > remaining ? remaining : tax.taxUnits;
+    remaining -= tax.taxUnits;
+  });
+  return breakdown(net, computed);
+}
+
+/**
+ * Price a product for tax-inclusive display: the strategy prices the net amount, tax is
+ * added, cosmetic rounding (charm/step) is applied to the customer-facing gross price,
+ * and net and tax are back-calculated exactly from the rounded gross.
+ * @param {bigint|number} costUnits - Tax-exclusive cost in smallest units
+ * @param {*} markupValue - Markup amount based on strategy
+ * @param {string|Object} strategy - Markup strategy (default: 'margin')
+ * @param {string|function} rounding - Rounding applied to the gross price
+ * @param {TaxRate|TaxRate[]|number|bigint} taxes - Tax rate(s)
+ * @param {Object} [options] - netRounding / taxRounding modes (see extractTax)
+ * @returns {TaxBreakdown & {costUnits: bigint, rawNetUnits: bigint, rawGrossUnits: bigint, roundingDeltaUnits: bigint, profitUnits: bigint, marginBps: bigint|null}}
+ */
+export function calculateTaxInclusivePrice(costUnits, markupValue, strategy = 'margin', rounding = 'identity', taxes = [], options = {}) {
+  const { costUnits: cost, rawPriceUnits: rawNetUnits, minPriceUnits = null } = calculatePriceDetailed(costUnits, markupValue, strategy, 'identity');
+  const rawGrossUnits = addTax(rawNetUnits, taxes, options).grossUnits;
+  const minGrossUnits = minPriceUnits === null ? null : addTax(minPriceUnits, taxes, { ...options, taxRounding: 'ceil' }).grossUnits;
+  const grossUnits = roundAboveMinimum(resolveRounder(rounding), rawGrossUnits, minGrossUnits);
+  const result = extractTax(grossUnits, taxes, options);
+  const profitUnits = result.netUnits - cost;
+
+  return {
+    costUnits: cost,
+    rawNetUnits,
+    rawGrossUnits,
+    roundingDeltaUnits: grossUnits - rawGrossUnits,
+    ...result,
+    profitUnits,
+    marginBps: result.netUnits === 0n ? null : divFloor(profitUnits * ONE, result.netUnits)
+  };
+}
+
+/**
+ * Tax for a whole invoice, rounding per line or once per invoice.
+ * @param {(bigint|number|{units: bigint|number, quantity?: number|bigint})[]} lines - Unit prices (and quantities)
+ * @param {TaxRate|TaxRate[]|number|bigint} taxes - Tax rate(s)
+ * @param {Object} [options]
+ * @param {boolean} [options.inclusive=false] - Whether line prices include tax
+ * @param {'line'|'invoice'} [options.roundingLevel='line'] - Round tax per line, or once on the invoice total
+ * @param {string} [options.netRounding='halfUp'] - See extractTax
+ * @param {string} [options.taxRounding='halfUp'] - See addTax
+ * @returns {TaxBreakdown & {lines: Object[]}} Invoice totals plus per-line amounts
+ */
+export function calculateInvoiceTax(lines, taxes, { inclusive = false, roundingLevel = 'line', ...options } = {}) {
+  if (roundingLevel !== 'line' && roundingLevel !== 'invoice') {
+    throw new PricingValidationError(`roundingLevel must be 'line' or 'invoice', got: ${roundingLevel}`, {
+      field: 'roundingLevel', value: roundingLevel, allowed: ['line', 'invoice']
+    });
+  }
+  const rates = normalizeTaxes(taxes);
+  const compute = inclusive ? extractTax : addTax;
+
+  const lineTotals = lines.map((line, index) => {
+    const spec = typeof line === 'object' && line !== null ? line : { units: line };
+    const quantity = toUnits(spec.quantity ?? 1, `lines[${index}].quantity`);
+    return toUnits(spec.units, `lines[${index}].units`) * quantity;
+  });
+
+  if (roundingLevel === 'invoice') {
+    const total = lineTotals.reduce((sum, units) => sum + units, 0n);
+    return { ...compute(total, rates, options), lines: lineTotals.map((totalUnits) => ({ totalUnits })) };
+  }
+
+  const perLine = lineTotals.map((totalUnits) => ({ totalUnits, ...compute(totalUnits, rates, options) }));
+  const totals = rates.map((tax, i) => ({
+    ...tax,
+    taxUnits: perLine.reduce((sum, line) => sum + line.taxes[i].taxUnits, 0n)
+  }));
+  const net = perLine.reduce((sum, line) => sum + line.netUnits, 0n);
+  return { ...breakdown(net, totals), lines: perLine };
+}
@@ -0,0 +1,272 @@
+/**
+ * Quantity breaks: tiered unit prices by quantity or weight
+ *
+ * A tier table lists the smallest quantity of each break and, per tier, either its own
+ * markup or a discount off the list price (the price at the base markup):
+ *
+ *   const table = defineTiers([
+ *     { min: 1 },                   // 1-9: base markup
+ *     { min: 10, markup: '35%' },   // 10-49
+ *     { min: 50, discount: '10%' }  // 50+: 10% off the list price
+ *   ]);
+ *   calculateTierPrices(250n, table, { markup: '45%', rounding: 'charm99' });
+ *   calculateTierTotal(250n, table, 24, { markup: '45%', rounding: 'charm99' });
+ *
+ * Every tier's unit price goes through the strategy and rounder like any other price, and a
+ * tier never costs more per unit than the tier before it: a unit price above the previous
+ * tier's is lowered to it (and marked `capped`). Weight tables take decimal quantities
+ * (e.g., '2.5' kg) and price the cost per unit of weight.
+ */
+
+import { decimalToUnits } from './core/decimal.js';
+import { divFloor, divRound } from './core/math.js';
+import { calculatePriceDetailed, roundAboveMinimum } from './core/calculator.js';
+import { resolveCurrencyRounder } from './rounding/index.js';
+import { CURRENCIES } from './currency.js';
+import { parseMarkup } from './config.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+const ONE = 10000n;
+
+// Quantity kinds: decimals of the quantity and the default unit label
+export const TIER_BASES = {
+  quantity: { decimals: 0, unit: 'each' },
+  weight: { decimals: 3, unit: 'kg' }
+};
+
+const TIER_FIELDS = ['min', 'markup', 'discount'];
+
+/**
+ * Tier as written in a table
+ * @typedef {Object} TierSpec
+ * @property {string|number|bigint} min - Smallest quantity (or weight) of the tier
+ * @property {*} [markup] - Markup for the tier ("35%", bps, or an amount for units strategies)
+ * @property {string|number|bigint} [discount] - Discount off the list price: "10%" or bps
+ */
+
+/**
+ * Validated tier table
+ * @typedef {Object} TierTable
+ * @property {'quantity'|'weight'} by - What the tiers count
+ * @property {string} unit - Unit label (e.g., 'each', 'kg')
+ * @property {number} decimals - Decimals of quantities; quantities are in 10^-decimals units
+ * @property {Array<{minQuantityUnits: bigint, maxQuantityUnits: bigint|null, markup: *, discountBps: bigint|null}>} tiers
+ *   Tiers by ascending quantity; maxQuantityUnits is inclusive (null for the last tier)
+ */
+
+// Quantity in 10^-decimals units (e.g., '2.5' kg -> 2500n)
+function toQuantity(value, decimals, field) {
+  let units;
+  try {
+    units = decimalToUnits(typeof value === 'number' || typeof value === 'bigint' ? String(value) : value, decimals);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${field} `, field });
+  }
+  if (units <= 0n) {
+    throw new PricingRangeError(`${field} must be positive, got: ${value}`, { field, value, min: 1n });
+  }
+  return units;
+}
+
+// "10%" or basis points (1000, 1000n, "1000")
+function toDiscountBps(value, field) {
+  const text = String(value).trim();
+  let bps;
+  if (text.endsWith('%')) {
+    bps = decimalToUnits(text.slice(0, -1), 2);
+  } else if (/^\d+$/.test(text)) {
+    bps = BigInt(text);
+  } else {
+    throw new PricingValidationError(`${field} must be a percentage ("10%") or whole basis points (1000), got: ${value}`, { field, value });
+  }
+  if (bps < 0n || bps >= ONE) {
+    throw new PricingRangeError(`${field} must be at least 0% and below 100%, got: ${value}`, { field, value: bps, min: 0n, max: ONE - 1n });
+  }
+  return bps;
+}
+
+/**
+ * Validate a tier table
+ * @param {TierSpec[]|{tiers: TierSpec[], by?: string, unit?: string, decimals?: number}} spec - Tiers, or
+ *   tiers plus options
+ * @param {Object} [options]
+ * @param {'quantity'|'weight'} [options.by='quantity'] - Whole quantities, or decimal weights
+ * @param {string} [options.unit] - Unit label (default 'each' / 'kg')
+ * @param {number} [options.decimals] - Quantity decimals (default 0 / 3)
+ * @returns {TierTable} Tier table for calculateTierPrices / calculateTierTotal
+ */
+export function defineTiers(spec, options = {}) {
+  const { tiers, ...settings } = Array.isArray(spec) ? { tiers: spec } : spec || {};
+  const { by = 'quantity', unit, decimals } = { ...options, ...settings };
+  if (!TIER_BASES[by]) {
+    throw new PricingValidationError(`Unknown tier basis: ${by}. Supported: ${Object.keys(TIER_BASES).join(', ')}`, {
+      field: 'by', value: by, allowed: Object.keys(TIER_BASES)
+    });
+  }
+  const places = decimals ?? TIER_BASES[by].decimals;
+  if (!Number.isInteger(places) || places < 0 || places > 6) {
+    throw new PricingRangeError(`decimals must be an integer from 0 to 6, got: ${decimals}`, { field: 'decimals', value: decimals, min: 0, max: 6 });
+  }
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new PricingValidationError('Tier table needs at least one tier.', { field: 'tiers' });
+  }
+
+  const compiled = tiers.map((tier, index) => {
+    const where = `Tier ${index + 1}`;
+    if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+      throw new PricingValidationError(`${where} must be an object.`, { field: 'tiers', tier: index });
+    }
+    const unknown = Object.keys(tier).filter((key) => !TIER_FIELDS.includes(key));
+    if (unknown.length) {
+      throw new PricingValidationError(`${where} sets unknown field(s) ${unknown.join(', ')}. Supported fields: ${TIER_FIELDS.join(', ')}`, {
+        field: unknown[0], tier: index, allowed: TIER_FIELDS
+      });
+    }
+    if (tier.markup !== undefined && tier.discount !== undefined) {
+      throw new PricingValidationError(`${where} sets both markup and discount; use one.`, { field: 'discount', tier: index });
+    }
+    try {
+      return {
+        minQuantityUnits: toQuantity(tier.min, places, 'min'),
+        markup: tier.markup ?? null,
+        discountBps: tier.discount === undefined ? null : toDiscountBps(tier.discount, 'discount')
+      };
+    } catch (error) {
+      throw withErrorContext(error, { prefix: `${where}: ` });
+    }
+  });
+
+  compiled.forEach((tier, index) => {
+    const next = compiled[index + 1];
+    if (next && next.minQuantityUnits <= tier.minQuantityUnits) {
+      throw new PricingValidationError(`Tier ${index + 2} must start above tier ${index + 1}; list tiers by ascending min.`, {
+        field: 'min', tier: index + 1
+      });
+    }
+    tier.maxQuantityUnits = next ? next.minQuantityUnits - 1n : null;
+  });
+
+  return { by, unit: unit ?? TIER_BASES[by].unit, decimals: places, tiers: compiled };
+}
+
+function resolveTable(table) {
+  return table && Array.isArray(table.tiers) && table.tiers.every((tier) => typeof tier.minQuantityUnits === 'bigint')
+    ? table
+    : defineTiers(table);
+}
+
+/**
+ * Unit price of one tier
+ * @typedef {Object} TierPrice
+ * @property {bigint} minQuantityUnits - Smallest quantity of the tier (10^-decimals units)
+ * @property {bigint|null} maxQuantityUnits - Largest quantity, inclusive (null for the last tier)
+ * @property {*} markup - The tier's own markup (null when it uses the base markup or a discount)
+ * @property {bigint|null} discountBps - Discount off the list price (null for markup tiers)
+ * @property {bigint} rawPriceUnits - Unit price before rounding
+ * @property {bigint} priceUnits - Unit price after rounding (and capping)
+ * @property {boolean} capped - Whether the price was lowered to the previous tier's
+ * @property {bigint|null} marginBps - Realized margin, rounded down (null if the price is 0)
+ */
+
+/**
+ * Unit prices of every tier
+ * @param {bigint|number} costUnits - Cost of one unit (each, or one unit of weight) in smallest units
+ * @param {TierTable|TierSpec[]} table - Table from defineTiers (or tiers to validate)
+ * @param {Object} [options]
+ * @param {string|Object} [options.strategy='margin'] - Markup strategy
+ * @param {*} [options.markup=0] - Base markup: the list price, and the markup of tiers without their own
+ * @param {string|function|Object} [options.rounding='identity'] - Rounder for every tier's unit price (name, function or rule spec)
+ * @param {string} [options.currency='USD'] - Currency (for markups written as amounts and rounding rules)
+ * @returns {{by: string, unit: string, decimals: number, currency: string, listPriceUnits: bigint, tiers: TierPrice[]}}
+ *   listPriceUnits is the rounded price at the base markup
+ */
+export function calculateTierPrices(costUnits, table, { strategy = 'margin', markup = 0, rounding = 'identity', currency = 'USD' } = {}) {
+  const { by, unit, decimals, tiers } = resolveTable(table);
+  if (!CURRENCIES[currency]) {
+    throw new UnknownCurrencyError(currency);
+  }
+  const round = resolveCurrencyRounder(rounding, currency);
+  const rawPrice = (value, field) => {
+    try {
+      const parsed = typeof value === 'string' ? parseMarkup(value, strategy, currency) : value;
+      return calculatePriceDetailed(costUnits, parsed, strategy);
+    } catch (error) {
+      throw withErrorContext(error, { field });
+    }
+  };
+
+  const list = rawPrice(markup, 'markup');
+  let previous = null;
+  const priced = tiers.map((tier, index) => {
+    let rawPriceUnits;
+    let { minPriceUnits } = list;
+    if (tier.discountBps !== null) {
+      rawPriceUnits = divRound(list.rawPriceUnits * (ONE - tier.discountBps), ONE, 'halfUp');
+    } else if (tier.markup === null) {
+      rawPriceUnits = list.rawPriceUnits;
+    } else {
+      ({ rawPriceUnits, minPriceUnits } = rawPrice(tier.markup, `tiers[${index}].markup`));
+    }
+    let priceUnits = roundAboveMinimum(round, rawPriceUnits, minPriceUnits);
+    const capped = previous !== null && priceUnits > previous;
+    if (capped) priceUnits = previous;
+    previous = priceUnits;
+
+    const profitUnits = priceUnits - list.costUnits;
+    return {
+      minQuantityUnits: tier.minQuantityUnits,
+      maxQuantityUnits: tier.maxQuantityUnits,
+      markup: tier.markup,
+      discountBps: tier.discountBps,
+      rawPriceUnits,
+      priceUnits,
+      capped,
+      marginBps: priceUnits === 0n ? null : divFloor(profitUnits * ONE, priceUnits)
+    };
+  });
+
+  return { by, unit, decimals, currency, listPriceUnits: roundAboveMinimum(round, list.rawPriceUnits, list.minPriceUnits), tiers: priced };
+}
+
+/**
+ * Extended line total for a quantity: the unit price of the tier the quantity falls in,
+ * times the quantity (rounded half up to the smallest unit for decimal weights)
+ * @param {bigint|number} costUnits - Cost of one unit in smallest units
+ * @param {TierTable|TierSpec[]} table - Table from defineTiers
+ * @param {string|number|bigint} quantity - Quantity or weight (e.g., 24, '2.5')
+ * @param {Object} [options] - Same as calculateTierPrices
+ * @returns {{quantityUnits: bigint, decimals: number, tier: number, unitPriceUnits: bigint, totalUnits: bigint,
+ *   listTotalUnits: bigint, savingsUnits: bigint, currency: string}} Line total; savings are vs the list price
+ */
+export function calculateTierTotal(costUnits, table, quantity, options = {}) {
+  const prices = calculateTierPrices(costUnits, table, options);
+  const quantityUnits = toQuantity(quantity, prices.decimals, 'quantity');
+  const first = prices.tiers[0];
+  if (quantityUnits < first.minQuantityUnits) {
+    throw new PricingRangeError(`quantity ${quantity} is below the smallest tier.`, {
+      field: 'quantity', value: quantityUnits, min: first.minQuantityUnits
+    });
+  }
+
+  // Last tier the quantity reaches (tier 0 always does, checked above)
+  let tier = prices.tiers.length - 1;
+  for (; tier > 0; tier--) {
+    if (quantityUnits >= prices.tiers[tier].minQuantityUnits) break;
+  }
+  const scale = 10n ** BigInt(prices.decimals);
+  const extend = (unitPriceUnits) => divRound(unitPriceUnits * quantityUnits, scale, 'halfUp');
+  const unitPriceUnits = prices.tiers[tier].priceUnits;
+  const totalUnits = extend(unitPriceUnits);
+  const listTotalUnits = extend(prices.listPriceUnits);
+
+  return {
+    quantityUnits,
+    decimals: prices.decimals,
+    tier,
+    unitPriceUnits,
+    totalUnits,
+    listTotalUnits,
+    savingsUnits: listTotalUnits - totalUnits,
+    currency: prices.currency
+  };
+}
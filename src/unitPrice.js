@@ -0,0 +1,205 @@
+/**
+ * Unit prices for shelf labels: price per kg, per 100 g, per litre or per count
+ *
+ *   calculateUnitPrice(349n, '500 g', { currency: 'EUR', per: '100 g' });
+ *   // { unitPriceUnits: 70n, formatted: '€0.70', label: '€0.70 / 100 g', ... }
+ *   calculateUnitPrice(499n, { size: 12, unit: 'oz' }, { per: 'lb' }).label; // '$6.65 / lb'
+ *
+ * Conversion factors are exact (1 oz = 28.349523125 g, 1 lb = 453.59237 g, 1 US fl oz =
+ * 29.5735295625 ml), so metric and imperial sizes convert without drift; the unit price
+ * is rounded once, at the end.
+ */
+
+import { CURRENCIES, formatPrice } from './currency.js';
+import { decimalToUnits } from './core/decimal.js';
+import { divRound, toBigInt, ROUNDING_MODES, unknownRoundingMode } from './core/math.js';
+import { PricingValidationError, PricingRangeError, UnknownCurrencyError, withErrorContext } from './errors.js';
+
+// Sizes are parsed to 10^-6 of their unit (e.g., '1.5' l -> 1500000n)
+const SIZE_DECIMALS = 6;
+
+/**
+ * Units by name: dimension and size in 10^-10 of the dimension's base unit (g, ml, count)
+ */
+export const UNITS = Object.freeze({
+  g: { dimension: 'mass', factor: 10_000_000_000n },
+  kg: { dimension: 'mass', factor: 10_000_000_000_000n },
+  oz: { dimension: 'mass', factor: 283_495_231_250n },
+  lb: { dimension: 'mass', factor: 4_535_923_700_000n },
+  ml: { dimension: 'volume', factor: 10_000_000_000n },
+  l: { dimension: 'volume', factor: 10_000_000_000_000n },
+  floz: { dimension: 'volume', factor: 295_735_295_625n },
+  each: { dimension: 'count', factor: 10_000_000_000n }
+});
+
+// Reference quantity per dimension when `per` is not given
+export const DEFAULT_REFERENCE = Object.freeze({ mass: '1 kg', volume: '1 l', count: '1 each' });
+
+// Spellings accepted for unit names
+const ALIASES = {
+  gram: 'g', grams: 'g', kilo: 'kg', kilogram: 'kg', kilograms: 'kg', ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb', millilitre: 'ml', milliliter: 'ml', litre: 'l', liter: 'l',
+  litres: 'l', liters: 'l', 'fl oz': 'floz', 'fl. oz': 'floz', ct: 'each', count: 'each', pc: 'each', pcs: 'each'
+};
+
+const unitsOf = (dimension) => Object.keys(UNITS).filter((name) => UNITS[name].dimension === dimension);
+
+function toUnitName(unit, field) {
+  const text = String(unit ?? '').trim().toLowerCase();
+  const name = ALIASES[text] || text;
+  if (!Object.prototype.hasOwnProperty.call(UNITS, name)) {
+    throw new PricingValidationError(`Unknown unit: ${unit}. Supported units: ${Object.keys(UNITS).join(', ')}`, {
+      field, value: unit, allowed: Object.keys(UNITS)
+    });
+  }
+  return name;
+}
+
+/**
+ * Parse a quantity: '500 g', '1.5l', '12 fl oz', 'kg' (quantity 1), or { size, unit, count }
+ * @param {string|{size: string|number|bigint, unit: string, count?: number}} value - Quantity
+ * @param {string} [field='size'] - Field reported in errors
+ * @returns {{sizeUnits: bigint, unit: string, dimension: string}} Size in 10^-6 of the unit (times count)
+ */
+export function parseQuantity(value, field = 'size') {
+  let size;
+  let unit;
+  let count = 1;
+  if (value && typeof value === 'object') {
+    ({ size, unit, count = 1 } = value);
+  } else {
+    const match = /^\s*([0-9]*\.?[0-9]*)\s*([a-z][a-z. ]*?)\s*$/i.exec(String(value ?? ''));
+    if (!match) {
+      throw new PricingValidationError(`Invalid ${field}: ${value}. Use a size and unit, e.g. "500 g" or "1.5 l".`, { field, value });
+    }
+    size = match[1] === '' ? '1' : match[1];
+    unit = match[2];
+  }
+
+  const name = toUnitName(unit, field);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new PricingRangeError(`count must be a whole number of at least 1, got: ${count}`, { field: 'count', value: count, min: 1 });
+  }
+  let sizeUnits;
+  try {
+    sizeUnits = decimalToUnits(typeof size === 'string' ? size.trim() : size, SIZE_DECIMALS);
+  } catch (error) {
+    throw withErrorContext(error, { prefix: `${field} `, field });
+  }
+  if (sizeUnits <= 0n) {
+    throw new PricingRangeError(`${field} must be positive, got: ${size}`, { field, value: size, min: 1n });
+  }
+  return { sizeUnits: sizeUnits * BigInt(count), unit: name, dimension: UNITS[name].dimension };
+}
+
+// Size in 10^-16 of the dimension's base unit (10^-6 of the unit times the 10^-10 factor)
+const toBase = ({ sizeUnits, unit }) => sizeUnits * UNITS[unit].factor;
+
+function checkRounding(rounding) {
+  if (!ROUNDING_MODES.includes(rounding)) throw unknownRoundingMode(rounding);
+}
+
+/**
+ * Convert a quantity between units of the same dimension (e.g., oz to g)
+ * @param {string|Object} quantity - Quantity (see parseQuantity)
+ * @param {string} unit - Target unit
+ * @param {Object} [options]
+ * @param {number} [options.decimalPlaces=3] - Decimals of the result
+ * @param {string} [options.rounding='halfUp'] - Rounding mode for the last decimal
+ * @returns {string} Decimal quantity in the target unit (e.g., '340.194' for 12 oz in g)
+ */
+export function convertQuantity(quantity, unit, { decimalPlaces = 3, rounding = 'halfUp' } = {}) {
+  const from = parseQuantity(quantity, 'quantity');
+  const to = toUnitName(unit, 'unit');
+  if (UNITS[to].dimension !== from.dimension) {
+    throw new PricingValidationError(`Cannot convert ${from.dimension} (${from.unit}) to ${UNITS[to].dimension} (${to}).`, {
+      field: 'unit', value: unit, allowed: unitsOf(from.dimension)
+    });
+  }
+  if (!Number.isInteger(decimalPlaces) || decimalPlaces < 0 || decimalPlaces > 12) {
+    throw new PricingRangeError(`decimalPlaces must be an integer from 0 to 12, got: ${decimalPlaces}`, {
+      field: 'decimalPlaces', value: decimalPlaces, min: 0, max: 12
+    });
+  }
+  checkRounding(rounding);
+
+  const scale = 10n ** BigInt(decimalPlaces);
+  const units = divRound(toBase(from) * scale, UNITS[to].factor * 10n ** BigInt(SIZE_DECIMALS), rounding);
+  const whole = units / scale;
+  return decimalPlaces ? `${whole}.${(units % scale).toString().padStart(decimalPlaces, '0')}` : String(whole);
+}
+
+// '100 g' for 100 g, 'kg' for 1 kg
+function referenceLabel({ sizeUnits, unit }) {
+  const scale = 10n ** BigInt(SIZE_DECIMALS);
+  if (sizeUnits === scale) return unit;
+  const fraction = (sizeUnits % scale).toString().padStart(SIZE_DECIMALS, '0').replace(/0+$/, '');
+  return `${sizeUnits / scale}${fraction ? `.${fraction}` : ''} ${unit}`;
+}
+
+/**
+ * Unit price for a shelf label
+ * @typedef {Object} UnitPrice
+ * @property {bigint} priceUnits - Pack price in smallest units
+ * @property {string} currency - ISO code
+ * @property {{sizeUnits: bigint, unit: string, dimension: string}} pack - Pack size (10^-6 of the unit)
+ * @property {{sizeUnits: bigint, unit: string, dimension: string}} per - Reference quantity
+ * @property {bigint} unitPriceUnits - Price of the reference quantity, in 10^-decimalPlaces of the currency
+ * @property {number} decimalPlaces - Currency decimals plus extraDecimals
+ * @property {string} formatted - Unit price formatted with formatPrice (e.g., '€0.70')
+ * @property {string} label - Formatted unit price and reference (e.g., '€0.70 / 100 g')
+ */
+
+/**
+ * Price per reference quantity (per kg, per 100 g, per l, per each) of a pack
+ * @param {bigint|number} priceUnits - Pack price in smallest units
+ * @param {string|Object} pack - Pack size: '500 g', '1.5 l', '6 each', or { size, unit, count } (count for multipacks)
+ * @param {Object} [options]
+ * @param {string|Object} [options.per] - Reference quantity ('100 g', 'kg', 'lb', ...; default per DEFAULT_REFERENCE)
+ * @param {string} [options.currency='USD'] - Currency of the price
+ * @param {string} [options.rounding='halfUp'] - Rounding mode (see ROUNDING_MODES)
+ * @param {number} [options.extraDecimals=0] - Decimals beyond the currency's (e.g., 1 for tenths of a cent)
+ * @param {string} [options.locale='en-US'] - Locale for `formatted` and `label`
+ * @param {string} [options.display='symbol'] - Currency display for `formatted` (see formatPrice)
+ * @returns {UnitPrice} Unit price
+ */
+export function calculateUnitPrice(priceUnits, pack, {
+  per, currency = 'USD', rounding = 'halfUp', extraDecimals = 0, locale = 'en-US', display = 'symbol'
+} = {}) {
+  const config = CURRENCIES[currency];
+  if (!config) {
+    throw new UnknownCurrencyError(currency);
+  }
+  const price = toBigInt(priceUnits, 'priceUnits');
+  if (price < 0n) {
+    throw new PricingRangeError('priceUnits cannot be negative.', { field: 'priceUnits', value: price, min: 0n });
+  }
+  if (!Number.isInteger(extraDecimals) || extraDecimals < 0 || extraDecimals > 4) {
+    throw new PricingRangeError(`extraDecimals must be an integer from 0 to 4, got: ${extraDecimals}`, {
+      field: 'extraDecimals', value: extraDecimals, min: 0, max: 4
+    });
+  }
+  checkRounding(rounding);
+
+  const size = parseQuantity(pack, 'size');
+  const reference = parseQuantity(per ?? DEFAULT_REFERENCE[size.dimension], 'per');
+  if (reference.dimension !== size.dimension) {
+    throw new PricingValidationError(`Cannot price ${size.dimension} (${size.unit}) per ${reference.unit}.`, {
+      field: 'per', value: per, allowed: unitsOf(size.dimension)
+    });
+  }
+
+  const unitPriceUnits = divRound(price * 10n ** BigInt(extraDecimals) * toBase(reference), toBase(size), rounding);
+  const decimalPlaces = config.decimalPlaces + extraDecimals;
+  const formatted = formatPrice(unitPriceUnits, { ...config, decimalPlaces }, true, { locale, display });
+  return {
+    priceUnits: price,
+    currency,
+    pack: size,
+    per: reference,
+    unitPriceUnits,
+    decimalPlaces,
+    formatted,
+    label: `${formatted} / ${referenceLabel(reference)}`
+  };
+}
@@ -1,4 +1,69 @@
-import { calculatePrice, pctToBps, rounders } from "../src/index.js";
+import assert from "assert";
+import { spawnSync } from "child_process";
+import {
+  calculatePrice,
+  calculatePriceDetailed,
+  pctToBps,
+  rounders,
+  registerRoundingRule,
+  resolveCurrencyRounder,
+  compileRoundingRule,
+  createCharmRounder,
+  createCurrencyStepRounder,
+  roundToStep,
+  divRound,
+  toSmallestUnit,
+  formatPrice,
+  toDecimalString,
+  calculateTaxInclusivePrice,
+  extractTax,
+  calculateInvoiceTax,
+  convertUnits,
+  parseRate,
+  calculateLocalizedPrices,
+  roundAboveMinimum,
+  registerStrategy,
+  unregisterStrategy,
+  getSupportedStrategies,
+  calculateImpliedMargin,
+  calculateImpliedMarkup,
+  calculateMaxCost,
+  priceCatalog,
+  compileRoundingExpression,
+  parseCsv,
+  repriceCsv,
+  loadPricingConfig,
+  defineRuleTree,
+  resolveRules,
+  calculateRulePrice,
+  GuardrailError,
+  PricingError,
+  PricingValidationError,
+  PricingRangeError,
+  UnknownCurrencyError,
+  UnknownStrategyError,
+  UnknownRoundingError,
+  defineTiers,
+  calculateTierPrices,
+  calculateTierTotal,
+  calculateUnitPrice,
+  convertQuantity,
+  definePromotion,
+  applyPromotion,
+  createPriceSchedule,
+  schedulePrice,
+  resolveScheduledPrice,
+  getPriceHistory,
+  findScheduleIssues,
+  diffScheduledPrices,
+  toScheduleDate,
+  calculateCompetitivePrice,
+  calculateLandedCost,
+  definePackHierarchy,
+  calculatePackPrices,
+  defineProfile
+} from "../src/index.js";
+import { importOptional } from "../src/config.js";
 
 console.log("🧪 Running Quick Check Tests...\n");
 
@@ -31,4 +96,490 @@ const lastDigit9 = (units) => {
 const pCustom = calculatePrice(cost, marginBps, "margin", lastDigit9);
 console.log("custom lastDigit9:", pCustom.toString(), "cents = $", (Number(pCustom) / 100).toFixed(2));
 
+// Strategy registry: built-ins resolve by name, custom strategies plug in
+console.log("\nStrategy registry:", getSupportedStrategies().join(", "));
+assert.strictEqual(calculatePrice(cost, 0, "keystone"), 500n);
+
+registerStrategy("costPlusHandling", {
+  description: "Cost plus handling fee plus margin",
+  markupUnit: "object",
+  normalize: ({ handlingUnits, marginBps }) => ({ handling: BigInt(handlingUnits), margin: BigInt(marginBps) }),
+  validate: ({ margin }) => {
+    if (margin < 0n || margin >= 10000n) throw new Error("margin out of range");
+  },
+  apply: (c, { handling, margin }) => ((c + handling) * 10000n + (10000n - margin) - 1n) / (10000n - margin)
+});
+const pHandling = calculatePrice(cost, { handlingUnits: 20, marginBps }, "costPlusHandling", "charm99");
+console.log("costPlusHandling + charm99:", pHandling.toString(), "cents");
+assert.strictEqual(pHandling, 399n);
+assert.throws(() => registerStrategy("margin", () => 0n), /already registered/);
+assert.ok(unregisterStrategy("costPlusHandling"));
+assert.throws(() => calculatePrice(cost, 0, "costPlusHandling"), /Supported strategies: margin, costPlus/);
+
+// Reverse pricing: implied markup round-trips through the forward calculator
+const impliedMargin = calculateImpliedMargin(399n, cost);
+console.log("\nImplied margin of $3.99 on $2.50 cost:", impliedMargin.toString(), "bps");
+assert.strictEqual(impliedMargin, 3734n);
+for (const strategy of ["margin", "costPlus", "keystonePlus", "fixedAmount"]) {
+  const price = calculatePrice(cost, marginBps, strategy);
+  assert.strictEqual(calculatePrice(cost, calculateImpliedMarkup(price, cost, strategy), strategy), price);
+}
+const maxCost = calculateMaxCost(399n, marginBps, "margin");
+console.log("Max cost for $3.99 at 30% margin:", maxCost.toString(), "cents");
+assert.strictEqual(maxCost, 279n);
+assert.ok(calculatePrice(maxCost + 1n, marginBps, "margin") > 399n);
+
+// Detailed breakdown explains every number in the final price
+const detail = calculatePriceDetailed(cost, marginBps, "margin", "charm99");
+console.log("\nBreakdown:", detail);
+assert.strictEqual(detail.rawPriceUnits, pIdentity);
+assert.strictEqual(detail.priceUnits, pCharm);
+assert.strictEqual(detail.roundingDeltaUnits, 41n);
+assert.strictEqual(detail.profitUnits, 149n);
+assert.strictEqual(detail.marginBps, 3734n);
+assert.strictEqual(detail.markupBps, 5960n);
+
+// Rounding rules: price bands, chains and currency selection from JSON config
+const bandPrices = [42n, 312n, 5432n, 10250n].map((p) => rounders.retailBands(p));
+console.log("\nretailBands: 42, 312, 5432, 10250 ->", bandPrices.join(", "));
+assert.deepStrictEqual(bandPrices, [45n, 349n, 5499n, 10999n]);
+
+const ruleJson = JSON.stringify({
+  type: "currency",
+  currencies: { JPY: { type: "ceilStep", step: 10 } },
+  default: ["ceilStep5", "charm99"]
+});
+registerRoundingRule("configRule", ruleJson);
+assert.strictEqual(calculatePrice(cost, marginBps, "margin", "configRule"), 399n);
+assert.strictEqual(compileRoundingRule(ruleJson, { currency: "JPY" })(123n), 130n);
+assert.strictEqual(JSON.stringify(rounders.configRule), ruleJson);
+delete rounders.configRule;
+
+// Currency-aware charm endings and step rounding
+assert.strictEqual(createCharmRounder(".99", "KWD")(3580n), 3990n);
+assert.strictEqual(createCharmRounder("99", "JPY")(1234n), 1299n);
+assert.strictEqual(createCharmRounder(".90", "INR")(12345n), 12390n);
+assert.deepStrictEqual([312n, 1000n, 1050n].map(createCharmRounder(["9.99", ".49"], "USD")), [349n, 1049n, 1149n]);
+assert.strictEqual(createCharmRounder(["99999999999.99", ".99"], "USD")(358n), 399n); // long endings are matched, not listed
+assert.throws(() => createCharmRounder(".99", "JPY"), /more decimals than JPY/);
+assert.strictEqual(createCurrencyStepRounder("KWD")(1234n), 1250n);
+assert.strictEqual(createCurrencyStepRounder("JPY")(1234n), 1234n);
+assert.throws(() => createCurrencyStepRounder("XYZ"), /Unknown currency/);
+console.log("\nCharm .99 in KWD: 3.580 ->", (Number(createCharmRounder(".99", "KWD")(3580n)) / 1000).toFixed(3));
+
+// Step rounding modes: floor, nearest (half-up/down/even) and toward zero
+assert.deepStrictEqual([15n, 25n, 14n].map((n) => divRound(n, 10n, "halfEven")), [2n, 2n, 1n]);
+assert.deepStrictEqual([15n, 25n].map((n) => divRound(n, 10n, "halfDown")), [1n, 2n]);
+assert.strictEqual(divRound(-15n, 10n, "towardZero"), -1n);
+assert.strictEqual(calculatePrice(cost, marginBps, "margin", "floorStep5"), 355n);
+assert.strictEqual(calculatePrice(cost, marginBps, "margin", "nearestStep5"), 360n);
+assert.strictEqual(roundToStep(10n, "halfEven")(345n), 340n);
+assert.throws(() => roundToStep(5n, "sideways"), /Unknown rounding mode/);
+console.log("\nfloorStep5 / nearestStep5:", rounders.floorStep5(pIdentity).toString(), "/", rounders.nearestStep5(pIdentity).toString(), "cents");
+
+// Exact decimal parsing for toSmallestUnit
+assert.strictEqual(toSmallestUnit("1234567890123.455", "KWD"), 1234567890123455n);
+assert.strictEqual(toSmallestUnit("1.234,56", "EUR", { locale: "de-DE" }), 123456n);
+assert.throws(() => toSmallestUnit("2.50", "EUR", { locale: "de-DE" }), (error) => error.code === "INVALID_AMOUNT");
+assert.throws(() => toSmallestUnit("12.50", "EUR", { locale: "de-DE" }), /ambiguous or misplaced group separator/);
+assert.throws(() => toSmallestUnit("1,50", "USD", { locale: "en-US" }), /ambiguous or misplaced group separator/);
+assert.throws(() => toSmallestUnit("12,34,567.50", "USD", { locale: "en-US" }), /ambiguous or misplaced group separator/);
+assert.strictEqual(toSmallestUnit("12,34,567.50", "INR", { locale: "en-IN" }), 123456750n);
+assert.strictEqual(toSmallestUnit("1,234,567.50", "INR", { locale: "en-IN" }), 123456750n);
+assert.throws(() => toSmallestUnit("1,50", "INR", { locale: "en-IN" }), /ambiguous or misplaced group separator/);
+assert.strictEqual(toSmallestUnit(2.675, "USD"), 268n);
+assert.throws(() => toSmallestUnit("2.675", "USD"), /more than 2 decimal places/);
+assert.strictEqual(toSmallestUnit("2.665", "USD", { rounding: "halfEven" }), 266n);
+console.log("\nParsed 1234567890123.455 KWD:", toSmallestUnit("1234567890123.455", "KWD").toString(), "fils");
+
+// Exact BigInt formatting with locale, display and accounting options
+const hugePrice = 123456789012345678901234567n;
+console.log("\nHuge price:", formatPrice(hugePrice, "USD", true));
+assert.strictEqual(formatPrice(hugePrice, "USD", true), "$1,234,567,890,123,456,789,012,345.67");
+assert.strictEqual(formatPrice(123456n, "EUR", { inSmallestUnits: true, locale: "de-DE" }), "1.234,56\u00a0€");
+assert.strictEqual(formatPrice(-50n, "USD", { inSmallestUnits: true, accounting: true }), "($0.50)");
+assert.strictEqual(formatPrice(1234n, "KWD", { inSmallestUnits: true, display: "code" }), "KWD\u00a01.234");
+assert.strictEqual(toDecimalString(-5n, "KWD"), "-0.005");
+
+// Tax-inclusive pricing: round the gross price, back-calculate net and tax exactly
+const vat = { name: "VAT", rateBps: 2000 };
+const taxed = calculateTaxInclusivePrice(cost, marginBps, "margin", "charm99", vat);
+console.log("\nVAT-inclusive: gross", taxed.grossUnits.toString(), "= net", taxed.netUnits.toString(), "+ tax", taxed.taxUnits.toString());
+assert.strictEqual(taxed.grossUnits, 499n);
+assert.strictEqual(taxed.netUnits + taxed.taxUnits, taxed.grossUnits);
+const gst = extractTax(11800n, [{ name: "CGST", rateBps: 900 }, { name: "SGST", rateBps: 900 }]);
+assert.deepStrictEqual(gst.taxes.map((t) => t.taxUnits), [900n, 900n]);
+assert.strictEqual(calculateInvoiceTax([333n, 333n, 333n], 2000).taxUnits, 201n);
+assert.strictEqual(calculateInvoiceTax([333n, 333n, 333n], 2000, { roundingLevel: "invoice" }).taxUnits, 200n);
+// Taxes rounded up never push the last tax's remainder below zero; negative quantities are rejected
+const roundedUp = extractTax(3n, [1500, 1500], { netRounding: "ceil", taxRounding: "ceil" });
+assert.deepStrictEqual([roundedUp.netUnits, ...roundedUp.taxes.map((t) => t.taxUnits)], [3n, 0n, 0n]);
+assert.throws(() => calculateInvoiceTax([{ units: 100n, quantity: -1 }], 2000), (e) => e instanceof PricingRangeError && e.field === "lines[0].quantity");
+
+// FX: exact rates, cross rates and localized price publishing
+const fxRates = { base: "USD", rates: { EUR: "0.92", JPY: "151.4", KWD: "0.3075" } };
+assert.strictEqual(convertUnits(1000n, "USD", "JPY", "151.4"), 1514n);
+assert.strictEqual(convertUnits(100000n, "JPY", "USD", fxRates), 66050n);
+assert.strictEqual(convertUnits(1000n, "USD", "KWD", fxRates), 3075n);
+const localized = calculateLocalizedPrices(cost, marginBps, "margin", {
+  currency: "USD",
+  rounding: "charm99",
+  rates: fxRates,
+  targets: { EUR: { type: "charm" }, JPY: { type: "charm", endings: "99" } }
+});
+console.log("\nLocalized prices:", Object.entries(localized).map(([code, p]) => `${code} ${p.priceUnits}`).join(", "));
+assert.deepStrictEqual(Object.values(localized).map((p) => p.priceUnits), [399n, 399n, 599n]);
+const localizedList = calculateLocalizedPrices(cost, marginBps, "margin", { rounding: "charm99", rates: fxRates, targets: ["EUR", "JPY", "KWD"] });
+assert.deepStrictEqual(Object.values(localizedList).map((p) => [p.rawPriceUnits, p.priceUnits]), [[358n, 399n], [329n, 330n], [542n, 542n], [1101n, 1150n]]);
+assert.deepStrictEqual([parseRate(1e-7), parseRate("1.5e-7")], [{ numerator: 1n, denominator: 10000000n }, { numerator: 3n, denominator: 20000000n }]);
+assert.throws(() => parseRate("-1e-5"), /Exchange rate must be positive/);
+
+// Batch catalog pricing: bad rows become errors, the rest still price
+async function* catalogRows() {
+  yield { sku: "A", cost: "2.50", markup: marginBps, rounding: "charm99" };
+  yield { sku: "B", cost: "4.00", currency: "XYZ" };
+  yield { sku: "C" };
+  yield { sku: "D", costUnits: 100n, strategy: "nope" };
+  yield { sku: "E", costUnits: 1000n, currency: "JPY", strategy: "keystone" };
+}
+const catalog = await priceCatalog(catalogRows(), { markup: marginBps });
+console.log("\nCatalog:", catalog.priced, "priced,", catalog.failed, "failed");
+assert.deepStrictEqual(catalog.results.map((r) => [r.sku, r.priceUnits]), [["A", 399n], ["E", 2000n]]);
+assert.deepStrictEqual(catalog.errors.map((e) => [e.index, e.field]), [[1, "currency"], [2, "cost"], [3, "strategy"]]);
+const streamed = [];
+const streamedRun = await priceCatalog([{ costUnits: 250n }, { costUnits: 100n, markup: 10000n }], {
+  markup: marginBps,
+  collectResults: false,
+  onResult: (result) => streamed.push(result.priceUnits)
+});
+assert.deepStrictEqual(streamed, [358n]);
+assert.strictEqual(streamedRun.results.length, 0);
+assert.strictEqual(streamedRun.errors[0].field, "markup");
+
+// CSV repricing: column mapping, delimiter, decimal separator and error columns
+assert.deepStrictEqual(parseCsv('a,"b ""c"", d"\r\n\r\n1,2\n'), [["a", 'b "c", d'], ["1", "2"]]);
+const repriced = await repriceCsv(
+  'Item;Cost;currency;markup\nTUR-100;2,50;;30%\nBAS-5;1500;JPY;\nBAD;4,00;XYZ;\n',
+  { delimiter: ";", decimalSeparator: ",", columns: { sku: "Item", cost: "Cost" }, markup: "20%", rounding: "charm99" }
+);
+console.log("\nRepriced CSV:\n" + repriced.csv.trim());
+assert.deepStrictEqual([repriced.priced, repriced.failed], [2, 1]);
+assert.deepStrictEqual(parseCsv(repriced.csv, { delimiter: ";" }).slice(1), [
+  ["TUR-100", "2,50", "", "30%", "3,58", "3,99", "37,34", "", "", ""],
+  ["BAS-5", "1500", "JPY", "", "1875", "1899", "21,01", "", "", ""],
+  ["BAD", "4,00", "XYZ", "", "", "", "", "", "Unknown currency: XYZ", "currency"]
+]);
+
+// Rounding expressions: parsed and evaluated without eval, usable as named rules
+const end9 = compileRoundingExpression("ceilStep(units, 10) - 1");
+assert.deepStrictEqual([358n, 360n].map(end9), [359n, 359n]);
+registerRoundingRule("store99", { type: "expression", expression: "units < 100 ? ceilStep(units, 5) : endsWith(units, 99, 100)" });
+assert.deepStrictEqual([87n, 358n, 4999n].map(rounders.store99), [90n, 399n, 4999n]);
+assert.strictEqual(calculatePrice(cost, marginBps, "margin", "store99"), 399n);
+assert.throws(() => registerRoundingRule("store99", "charm99"), (error) => error.code === "ALREADY_REGISTERED" && error.field === "name");
+assert.throws(() => registerRoundingRule("charm99", "ceilStep5", { override: true }), (error) => error.code === "ALREADY_REGISTERED" && /built-in rounder/.test(error.message));
+assert.strictEqual(registerRoundingRule("store99", rounders.store99.rule, { override: true })(358n), 399n);
+assert.strictEqual(compileRoundingExpression("(units - 12) / 2 + max(units % 3, 1) * 10")(5n), 16n);
+assert.throws(() => compileRoundingExpression("units; process.exit()"), /position 6: unexpected character ";"/);
+assert.throws(() => compileRoundingExpression("constructor(units)"), /unknown function "constructor"/);
+assert.throws(() => compileRoundingExpression("units - 1000")(5n), /negative price/);
+
+// Pricing profiles from config: defaults, named rounders, price limits and inclusive tax
+await loadPricingConfig({
+  rounders: { end9: { type: "expression", expression: "ceilStep(units, 10) - 1" } },
+  defaults: { currency: "USD", strategy: "margin" },
+  profiles: {
+    spices: { markup: "30%", rounding: "charm99", minPrice: "0.99" },
+    produce: { strategy: "costPlus", markup: "25%", rounding: "end9" },
+    ukFrozen: { currency: "GBP", markup: "35%", rounding: "charm99", tax: { rates: [vat], inclusive: true } }
+  }
+});
+assert.strictEqual(calculatePrice(cost, { profile: "spices" }), 399n);
+assert.strictEqual(calculatePrice(cost, { profile: "spices", markup: "50%" }), 599n);
+assert.strictEqual(calculatePrice(cost, { profile: "produce" }), 319n);
+const spicesFloor = calculatePriceDetailed(10n, { profile: "spices", rounding: "identity" });
+assert.deepStrictEqual([spicesFloor.priceUnits, spicesFloor.limit], [99n, "minPrice"]);
+// Price limits live only in the profile's guardrails, validated in the profile currency
+const yenLimits = defineProfile("yen", { currency: "JPY", minPrice: "100", maxPrice: "990" });
+assert.deepStrictEqual([yenLimits.guardrails.minPriceUnits, yenLimits.guardrails.maxPriceUnits, "minPriceUnits" in yenLimits], [100n, 990n, false]);
+assert.throws(() => defineProfile("yen", { currency: "JPY", minPrice: "1.50" }), (error) => error.field === "minPrice");
+const ukFrozen = calculatePriceDetailed(cost, { profile: "ukFrozen" });
+console.log("\nProfile ukFrozen: gross", ukFrozen.priceUnits.toString(), "net", ukFrozen.netUnits.toString(), ukFrozen.currency);
+assert.deepStrictEqual([ukFrozen.priceUnits, ukFrozen.netUnits, ukFrozen.tax.taxUnits], [499n, 416n, 83n]);
+assert.throws(() => calculatePrice(cost, { profile: "frozen" }), /Unknown pricing profile: frozen/);
+await assert.rejects(loadPricingConfig({ profiles: { bad: { markup: "30%", rouding: "charm99" } } }), /unknown field\(s\) rouding/);
+await assert.rejects(loadPricingConfig({ rounders: { end9: "charm99" }, profiles: {} }, { override: false }), (error) => error.code === "ALREADY_REGISTERED" && error.value === "end9");
+await assert.rejects(importOptional("pricing-core-no-such-package", "YAML config files", "use a .json config"), (error) =>
+  error.code === "MISSING_DEPENDENCY" && /optional 'pricing-core-no-such-package' package \(npm install pricing-core-no-such-package\); or use a \.json config/.test(error.message));
+// Named rule rounders are compiled for each profile's currency
+await loadPricingConfig({
+  rounders: { shelf: { type: "currency", currencies: { JPY: { type: "ceilStep", step: 10 } }, default: "charm99" }, cash: { type: "currencyStep" } },
+  profiles: { usShelf: { markup: "30%", rounding: "shelf" }, jpShelf: { currency: "JPY", markup: "30%", rounding: "shelf" }, jpCash: { currency: "JPY", markup: "30%", rounding: "cash" } }
+});
+assert.deepStrictEqual(
+  [calculatePrice(cost, { profile: "usShelf" }), calculatePrice(cost, { profile: "jpShelf" }), calculatePrice(cost, { profile: "jpCash" })],
+  [399n, 360n, 358n]
+);
+assert.strictEqual(calculatePrice(cost, { profile: "jpCash", rounding: "shelf" }), 360n);
+assert.strictEqual(resolveCurrencyRounder("cash", "EUR")(358n), 360n);
+assert.strictEqual(resolveCurrencyRounder(registerRoundingRule("usdCash", { type: "currencyStep" }, { currency: "USD" }).name, "JPY")(358n), 360n);
+const profiled = await priceCatalog([{ sku: "P", cost: "2.50", profile: "spices" }, { sku: "Q", cost: "2.50", profile: "ukFrozen", currency: "USD" }]);
+assert.deepStrictEqual([profiled.results[0].priceUnits, profiled.errors[0].field], [399n, "currency"]);
+
+// Rule hierarchy: deepest node wins per setting, with the source node reported
+const ruleTree = defineRuleTree({
+  rules: { strategy: "margin", markup: "30%", rounding: "charm99" },
+  children: [{
+    id: "grocery",
+    children: [
+      {
+        id: "spices",
+        rules: { markup: "45%", minPrice: "0.99" },
+        children: [{ id: "everest", rules: { rounding: "charm49or99" }, children: [{ id: "SKU-1042", rules: { markup: "40%" } }] }]
+      },
+      { id: "produce", rules: { strategy: "costPlus", rounding: { type: "ceilStep", step: 5 } } }
+    ]
+  }]
+});
+const skuPrice = calculateRulePrice(cost, ruleTree, "grocery/spices/everest/SKU-1042");
+console.log("\nSKU-1042:", skuPrice.priceUnits.toString(), "markup from", skuPrice.sources.markup.level, "rounding from", skuPrice.sources.rounding.level);
+assert.strictEqual(skuPrice.priceUnits, 449n);
+assert.deepStrictEqual(
+  Object.fromEntries(Object.entries(skuPrice.sources).map(([field, source]) => [field, source && source.level])),
+  {
+    currency: null, strategy: "root", markup: "sku", rounding: "brand", minPrice: "category", maxPrice: null,
+    mapPrice: null, minMargin: null, maxChange: null, onViolation: null, tax: null
+  }
+);
+assert.strictEqual(resolveRules(ruleTree, "SKU-1042").path, "grocery/spices/everest/SKU-1042");
+assert.strictEqual(calculateRulePrice(cost, ruleTree, ["grocery", "produce"], { markup: "10%" }).priceUnits, 275n);
+assert.strictEqual(calculatePrice(cost, { profile: resolveRules(ruleTree, "grocery/spices").profile }), 499n);
+assert.throws(() => defineRuleTree({ children: [{ id: "a", rules: { markup: "30%", rounding: "zzz" } }] }), /Pricing rules "a": Unknown rounding style: zzz/);
+
+// Guardrails after rounding: clamp, re-round within bounds, or throw with the reason
+const capped = calculatePriceDetailed(cost, 2000, "margin", "charm99", { maxPriceUnits: 349n });
+assert.deepStrictEqual([capped.priceUnits, capped.guardrail.reason, capped.guardrail.action], [349n, "maxPrice", "clamp"]);
+assert.strictEqual(calculatePrice(cost, 2000, "margin", "charm99", { maxPrice: "3.49", onViolation: "reround" }), 299n);
+const marginFloor = calculatePriceDetailed(cost, 1000, "margin", "charm99", { minMargin: "40%", onViolation: "reround" });
+console.log("\nMin margin 40% re-rounded:", marginFloor.priceUnits.toString(), "margin", marginFloor.marginBps.toString(), "bps");
+assert.deepStrictEqual([marginFloor.priceUnits, marginFloor.guardrail.minUnits, marginFloor.marginBps >= 4000n], [499n, 417n, true]);
+const moved = calculatePriceDetailed(cost, { profile: "spices", guardrails: { currentPrice: "3.00", maxChange: "10%" } });
+assert.deepStrictEqual([moved.priceUnits, moved.limit, moved.guardrail.originalPriceUnits], [330n, "maxChange", 399n]);
+assert.throws(
+  () => calculatePrice(cost, 1000, "margin", "identity", { mapPriceUnits: 349n, onViolation: "throw" }),
+  (error) => error instanceof GuardrailError && error.code === "PRICE_GUARDRAIL" && error.reason === "mapPrice" && error.minUnits === 349n
+);
+assert.throws(() => calculatePrice(cost, 0, "margin", "identity", { minMargin: "50%", currentPrice: "3.00", maxChange: "10%" }), /guardrails conflict/);
+const guarded = await priceCatalog(
+  [{ sku: "A", cost: "2.50", currentPrice: "3.00" }, { sku: "B", cost: "2.50", mapPrice: "4.49" }, { sku: "C", cost: "2.50", currentPrice: "n/a" }],
+  { markup: "30%", guardrails: { minMargin: "20%", maxChange: "10%" } }
+);
+assert.deepStrictEqual(guarded.results.map((r) => [r.sku, r.priceUnits, r.guardrail.reason]), [["A", 330n, "maxChange"], ["B", 449n, "mapPrice"]]);
+assert.deepStrictEqual(guarded.errors.map((e) => [e.sku, e.field]), [["C", "currentPrice"]]);
+const strict = await priceCatalog([{ sku: "A", cost: "2.50", currentPrice: "3.00" }], { markup: "30%", guardrails: { maxChange: "10%", onViolation: "throw" } });
+assert.deepStrictEqual(strict.errors.map((e) => [e.field, e.error.reason]), [["price", "maxChange"]]);
+
+// Typed errors: branch on class or code, read details instead of parsing messages
+assert.throws(
+  () => calculatePrice(cost, 12000, "margin"),
+  (error) => error instanceof PricingRangeError && error instanceof PricingValidationError && error.code === "OUT_OF_RANGE" &&
+    error.field === "marginBps" && error.value === 12000n && error.min === 0n && error.max === 9999n
+);
+assert.throws(() => toSmallestUnit("2.50", "XYZ"), (error) => error instanceof UnknownCurrencyError && error.code === "UNKNOWN_CURRENCY" && error.value === "XYZ");
+assert.throws(
+  () => calculatePrice(cost, 0, "nope"),
+  (error) => error instanceof UnknownStrategyError && error.code === "UNKNOWN_STRATEGY" && error.allowed.includes("margin")
+);
+assert.throws(() => calculatePrice(cost, 0, "margin", "zzz"), (error) => error instanceof UnknownRoundingError && error.allowed.includes("charm99"));
+assert.throws(() => roundToStep(5n, "sideways"), (error) => error.code === "UNKNOWN_ROUNDING_MODE");
+assert.throws(() => toSmallestUnit("2.675", "USD"), (error) => error.code === "INVALID_AMOUNT");
+assert.throws(() => resolveRules(ruleTree, "nowhere"), (error) => error.code === "UNKNOWN_RULE_NODE" && error.value === "nowhere");
+assert.throws(() => calculatePrice(cost, { profile: "frozen" }), (error) => error.code === "UNKNOWN_PROFILE" && error.allowed.includes("spices"));
+assert.throws(() => defineRuleTree({ rules: { rounding: "zzz" } }), (error) => error.code === "UNKNOWN_ROUNDING" && error.message.startsWith("Pricing rules"));
+assert.throws(() => calculatePrice(-1n, 0, "margin"), (error) => error.code === "OUT_OF_RANGE" && error.field === "costUnits");
+assert.ok(new GuardrailError("x", { reason: "maxPrice" }) instanceof PricingError);
+assert.deepStrictEqual(
+  new PricingRangeError("too big", { field: "markup", value: 12000n, max: 9999n }).toJSON(),
+  { name: "PricingRangeError", code: "OUT_OF_RANGE", message: "too big", field: "markup", value: "12000", max: "9999" }
+);
+const typed = await priceCatalog([{ sku: "A", cost: "2.50", currency: "XYZ" }, { sku: "B", cost: "2.50", markup: "120%" }]);
+assert.deepStrictEqual(typed.errors.map((e) => [e.field, e.code]), [["currency", "UNKNOWN_CURRENCY"], ["markup", "OUT_OF_RANGE"]]);
+
+// Quantity breaks: per-tier markup or discount, non-increasing unit prices, line totals
+const breaks = defineTiers([{ min: 1 }, { min: 10, markup: "35%" }, { min: 50, discount: "10%" }]);
+const tierOptions = { markup: "45%", rounding: "charm99" };
+assert.deepStrictEqual(
+  calculateTierPrices(cost, breaks, tierOptions).tiers.map((t) => [t.maxQuantityUnits, t.rawPriceUnits, t.priceUnits, t.capped]),
+  [[9n, 455n, 499n, false], [49n, 385n, 399n, false], [null, 410n, 399n, true]]
+);
+const line = calculateTierTotal(cost, breaks, 24, tierOptions);
+console.log(`\n24 units at tier ${line.tier + 1}: ${line.unitPriceUnits} each, total ${line.totalUnits}`);
+assert.deepStrictEqual([line.unitPriceUnits, line.totalUnits, line.savingsUnits], [399n, 9576n, 2400n]);
+assert.strictEqual(calculateTierTotal(cost, breaks, 50, tierOptions).tier, 2);
+const rice = defineTiers({ by: "weight", tiers: [{ min: "0.5" }, { min: 5, discount: "8%" }, { min: 25, discount: "15%" }] });
+assert.strictEqual(calculateTierTotal(400n, rice, "7.25", { markup: "40%" }).totalUnits, 4452n);
+assert.throws(() => calculateTierTotal(400n, rice, "0.25", { markup: "40%" }), (error) => error.code === "OUT_OF_RANGE" && error.min === 500n);
+assert.throws(() => calculateTierTotal(cost, breaks, "2.5", tierOptions), (error) => error.code === "INVALID_AMOUNT" && error.field === "quantity");
+assert.throws(() => defineTiers([{ min: 10 }, { min: 5 }]), /Tier 2 must start above tier 1/);
+assert.throws(() => defineTiers([{ min: 1, markup: "30%", discount: "5%" }]), /both markup and discount/);
+
+// Unit pricing: exact metric/imperial sizes, reference quantity, rounding and formatting
+const shelf = calculateUnitPrice(349n, "500 g", { currency: "EUR", per: "100 g" });
+console.log("\nShelf label:", shelf.label);
+assert.deepStrictEqual([shelf.unitPriceUnits, shelf.label], [70n, "€0.70 / 100 g"]);
+assert.strictEqual(calculateUnitPrice(499n, { size: 12, unit: "oz" }, { per: "lb" }).label, "$6.65 / lb");
+assert.strictEqual(calculateUnitPrice(499n, "12 oz", { extraDecimals: 1 }).unitPriceUnits, 14668n);
+assert.strictEqual(calculateUnitPrice(499n, "12 oz", { rounding: "floor" }).unitPriceUnits, 1466n);
+assert.strictEqual(calculateUnitPrice(899n, { size: 330, unit: "ml", count: 6 }).unitPriceUnits, 454n);
+assert.strictEqual(calculateUnitPrice(1299n, "1.5l", { currency: "JPY" }).label, "¥866 / l");
+assert.deepStrictEqual([convertQuantity("12 oz", "g"), convertQuantity("1 lb", "oz"), convertQuantity("453.59237 g", "lb", { decimalPlaces: 6 })], ["340.194", "16.000", "1.000000"]);
+assert.throws(() => calculateUnitPrice(100n, "1 l", { per: "kg" }), (error) => error.code === "INVALID_INPUT" && error.field === "per");
+assert.throws(() => calculateUnitPrice(100n, "5 parsecs"), /Unknown unit: parsecs/);
+
+// Promotions: sale prices on a calculated price, re-rounded, with margin floors
+const regular = calculatePriceDetailed(cost, 3000, "margin", "charm99");
+const quarterOff = applyPromotion(regular, definePromotion({ type: "percentOff", percent: "25%", rounding: "floorStep5", minMargin: "15%" }));
+console.log("\n25% off", regular.priceUnits.toString(), "->", quarterOff.unitPriceUnits.toString(), "margin", quarterOff.marginBps.toString(), "bps");
+assert.deepStrictEqual([quarterOff.applied, quarterOff.unitPriceUnits, quarterOff.marginBps, quarterOff.violations], [true, 295n, 1525n, []]);
+assert.strictEqual(applyPromotion(regular, { type: "amountOff", amount: "0.50" }).unitPriceUnits, 349n);
+assert.throws(() => applyPromotion(calculatePriceDetailed(cost, { profile: "ukFrozen" }), { type: "amountOff", amount: "0.50" }), (error) => error.field === "currency" && /GBP but the promotion is in USD/.test(error.message));
+assert.strictEqual(applyPromotion(calculatePriceDetailed(cost, { profile: "ukFrozen" }), { type: "amountOff", amount: "0.50" }, { currency: "GBP" }).unitPriceUnits, 449n);
+assert.strictEqual(applyPromotion(regular, { type: "memberPrice", price: "3.49" }).reason, "member");
+assert.strictEqual(applyPromotion(regular, { type: "memberPrice", price: "3.49" }, { member: true }).totalUnits, 349n);
+assert.deepStrictEqual(
+  [3, 4].map((quantity) => applyPromotion(regular, { type: "multiBuy", quantity: 3, price: "10.00" }, { quantity }).totalUnits),
+  [1000n, 1399n]
+);
+const freeThird = applyPromotion(regular, { type: "buyXGetY", buy: 2, get: 1, minMargin: "20%" });
+assert.deepStrictEqual([freeThird.applied, freeThird.totalUnits, freeThird.violations], [true, 798n, ["minMargin"]]);
+const refused = applyPromotion(399n, { type: "percentOff", percent: "50%", onViolation: "refuse" }, { costUnits: 250n });
+assert.deepStrictEqual([refused.applied, refused.reason, refused.totalUnits, refused.violations], [false, "refused", 399n, ["belowCost"]]);
+assert.strictEqual(applyPromotion(399n, { type: "percentOff", percent: "1%", rounding: "charm99" }).reason, "noDiscount");
+assert.throws(() => definePromotion({ type: "percentOff", percent: "120%" }), (error) => error.code === "OUT_OF_RANGE" && error.field === "percent");
+
+// Price schedules: effective-dated records per SKU, time zones, gaps/overlaps and diffs
+const schedule = createPriceSchedule({ timeZone: "America/New_York" });
+schedulePrice(schedule, { sku: "SKU-1042", effectiveFrom: "2026-10-01", costUnits: 250n, markup: "30%", rounding: "charm99" });
+schedulePrice(schedule, { sku: "SKU-1042", effectiveFrom: "2026-11-01", costUnits: 300n, markup: "30%", rounding: "charm99" });
+schedulePrice(schedule, { sku: "SKU-7", effectiveFrom: "2026-10-01", effectiveTo: "2026-10-20", priceUnits: 199n });
+schedulePrice(schedule, { sku: "SKU-7", effectiveFrom: "2026-10-25", priceUnits: 179n });
+// Cost-based records compile named rules and rule specs for their currency
+const yenSchedule = createPriceSchedule();
+const yenCash = schedulePrice(yenSchedule, { sku: "JP-1", effectiveFrom: "2026-10-01", costUnits: 250n, markup: "30%", rounding: "cash", currency: "JPY" });
+const yenCharm = schedulePrice(yenSchedule, { sku: "JP-2", effectiveFrom: "2026-10-01", costUnits: 250n, markup: "30%", rounding: { type: "charm", endings: "99" }, currency: "JPY" });
+assert.deepStrictEqual([yenCash.priceUnits, yenCash.breakdown.rounding, yenCharm.priceUnits, yenCharm.breakdown.rounding], [358n, "cash", 399n, "rule"]);
+assert.deepStrictEqual(
+  ["2026-10-31T23:59", "2026-11-01T04:00:00Z", "2026-09-30"].map((at) => resolveScheduledPrice(schedule, "SKU-1042", at)?.priceUnits ?? null),
+  [399n, 499n, null]
+);
+assert.strictEqual(resolveScheduledPrice(schedule, "SKU-7", "2026-10-22"), null);
+const changes = diffScheduledPrices(schedule, "2026-10-15", "2026-11-15");
+console.log("\nScheduled changes:", changes.map((c) => `${c.sku} ${c.fromPriceUnits} -> ${c.toPriceUnits}`).join(", "));
+assert.deepStrictEqual(changes.map((c) => [c.sku, c.changeUnits, c.changeBps]), [["SKU-1042", 100n, 2506n], ["SKU-7", -20n, -1006n]]);
+assert.deepStrictEqual(findScheduleIssues(schedule).map((i) => [i.type, i.sku, i.from.toISOString()]), [["gap", "SKU-7", "2026-10-20T04:00:00.000Z"]]);
+schedulePrice(schedule, { sku: "SKU-7", effectiveFrom: "2026-10-19", effectiveTo: "2026-10-26", priceUnits: 189n });
+assert.deepStrictEqual(findScheduleIssues(schedule, { sku: "SKU-7" }).map((i) => i.type), ["overlap", "overlap"]);
+assert.deepStrictEqual(getPriceHistory(schedule, "SKU-7").map((h) => h.priceUnits), [199n, 189n, 179n]);
+assert.strictEqual(toScheduleDate("2026-03-08T02:30", "America/New_York").toISOString(), "2026-03-08T07:30:00.000Z");
+assert.throws(() => createPriceSchedule({ timeZone: "Mars/Base" }), (error) => error.code === "INVALID_INPUT" && error.field === "timeZone");
+assert.throws(
+  () => schedulePrice(schedule, { sku: "SKU-7", effectiveFrom: "2026-12-01", effectiveTo: "2026-11-01", priceUnits: 1n }),
+  (error) => error.code === "OUT_OF_RANGE" && error.field === "effectiveTo"
+);
+
+// Competitive pricing: match, beat or band competitor prices above a cost-based floor
+const competitors = { spiceHouse: 479n, grocerCo: 459n };
+const floor = { strategy: "margin", markup: 2500 };
+const matched = calculateCompetitivePrice(cost, { competitors, floor });
+console.log("\nMatch lowest:", matched.priceUnits.toString(), "from", matched.competition.lowestCompetitor, "floor", matched.competition.floorPriceUnits.toString());
+assert.deepStrictEqual([matched.priceUnits, matched.competition.constraint, matched.competition.floorPriceUnits], [459n, "competitive", 334n]);
+assert.strictEqual(calculateCompetitivePrice(cost, { competitors, rule: "beatLowest", beatBps: 300, floor }, "floorStep5").priceUnits, 445n);
+const charmed = calculateCompetitivePrice(cost, { competitors, rule: "beatLowest", beatUnits: 10, floor }, "charm99");
+assert.deepStrictEqual([charmed.competition.maxPriceUnits, charmed.priceUnits, charmed.competition.meetsRule], [449n, 499n, false]);
+const costFloor = calculateCompetitivePrice(380n, { competitors, rule: "beatLowest", beatUnits: 10, floor });
+assert.deepStrictEqual([costFloor.priceUnits, costFloor.competition.constraint], [507n, "cost"]);
+assert.deepStrictEqual(
+  [200n, 330n, 350n].map((c) => {
+    const { priceUnits, competition } = calculateCompetitivePrice(c, { competitors, rule: "medianBand", bandBps: 500, floor: { markup: 3000 } });
+    return [priceUnits, competition.constraint];
+  }),
+  [[446n, "competitive"], [472n, "cost"], [500n, "cost"]]
+);
+assert.strictEqual(calculatePrice(cost, { competitors: [459n, 479n] }, "competitive"), 459n);
+const roundedDown = calculateCompetitivePrice(453n, { competitors: [459n], floor: { strategy: "margin", markup: 1000 } }, "floorStep5");
+assert.deepStrictEqual(
+  [roundedDown.priceUnits, roundedDown.competition.floorPriceUnits, roundedDown.competition.constraint, roundedDown.competition.raisedToFloor, roundedDown.marginBps],
+  [504n, 504n, "cost", true, 1011n]
+);
+assert.strictEqual(calculateCompetitivePrice(400n, { competitors: [459n], floor: { markup: 1000 } }, "charm99").competition.raisedToFloor, false);
+// The floor holds after a floor-mode rounder on the generic paths too
+const floorRule = { competitors: [459n], floor: { strategy: "margin", markup: 1000 } };
+assert.strictEqual(calculatePrice(453n, floorRule, "competitive", "floorStep5"), 504n);
+assert.strictEqual(calculatePriceDetailed(453n, floorRule, "competitive", "floorStep5").minPriceUnits, 504n);
+assert.strictEqual(calculatePackPrices(453n, [{ name: "each" }], { strategy: "competitive", markup: floorRule, rounding: "floorStep5" }).levels[0].priceUnits, 504n);
+assert.deepStrictEqual(
+  [calculateTaxInclusivePrice(453n, floorRule, "competitive", "floorStep5", 2000).netUnits, roundAboveMinimum(rounders.floorStep5, 453n, 504n)],
+  [504n, 504n]
+);
+assert.throws(() => calculatePrice(cost, { competitors: [459n], rule: "beatLowest" }, "competitive"), /exactly one of beatBps or beatUnits/);
+assert.throws(() => calculatePrice(cost, { competitors: [459n], floor: { strategy: "keystone" } }, "competitive"), (error) => error.field === "floor.strategy");
+assert.throws(() => calculatePrice(cost, 3000, "competitive"), (error) => error.code === "INVALID_INPUT" && error.field === "markup");
+
+// Landed cost: invoice with FX, freight, duty, handling and shrink, rounded once per unit
+const landed = calculateLandedCost({
+  cost: "12.40", invoiceCurrency: "EUR", rate: "1.0845", unitsPerCase: 12, freight: "1.80", duty: "6.5%", handling: "0.60", shrink: "2%"
+});
+console.log("\nLanded unit cost:", landed.costUnits.toString(), "case", landed.caseCostUnits.toString());
+assert.deepStrictEqual([landed.costUnits, landed.caseCostUnits], [143n, 1672n]);
+assert.deepStrictEqual(landed.items.map((item) => item.caseUnits), [1345n, 180n, 87n, 60n, 34n]);
+assert.strictEqual(calculatePriceDetailed(landed, 3000, "margin", "charm99").priceUnits, 299n);
+assert.strictEqual(calculatePrice(landed, 3000), calculatePrice(143n, 3000));
+assert.strictEqual(calculatePrice(landed, { profile: "spices" }), 299n);
+assert.throws(() => calculatePrice(landed, { profile: "ukFrozen" }), (error) => error.field === "currency" && /Cost is in USD but the ukFrozen pricing profile is in GBP/.test(error.message));
+assert.strictEqual(calculatePriceDetailed(landed, 3000, "margin", "charm99", { currency: "USD", maxPrice: "2.50" }).priceUnits, 250n);
+assert.throws(() => calculatePriceDetailed(landed, 3000, "margin", "charm99", { currency: "EUR", maxPrice: "2.50" }), (error) => error.code === "INVALID_INPUT" && error.value === "USD");
+assert.throws(() => calculatePrice(landed, 3000, "margin", "charm99", { currency: "EUR", maxPrice: "2.50" }), (error) => error.code === "INVALID_INPUT" && error.field === "currency");
+assert.strictEqual(calculateLandedCost({ cost: "2.00", costPer: "unit", unitsPerCase: 6, freight: "1.20", duty: "10%", dutyOn: "goodsAndFreight" }).costUnits, 242n);
+assert.strictEqual(calculateLandedCost({ cost: "1000", invoiceCurrency: "JPY", rate: { base: "USD", rates: { JPY: "150" } }, unitsPerCase: 3 }).costUnits, 223n);
+assert.strictEqual(calculateLandedCost({ costUnits: 1000n, unitsPerCase: 3 }, { rounding: "floor" }).costUnits, 333n);
+assert.throws(() => calculateLandedCost({ cost: "1.00", invoiceCurrency: "EUR" }), (error) => error.field === "rate");
+assert.throws(() => calculateLandedCost({ cost: "1.00", shrink: "100%" }), (error) => error.code === "OUT_OF_RANGE" && error.field === "shrink");
+assert.throws(() => calculateLandedCost({ cost: "1.00", frieght: "0.50" }), /unknown field\(s\) frieght/);
+
+// Pack hierarchies: case cost allocated to inner and each, priced per level, larger packs capped
+const packs = definePackHierarchy([{ name: "case", contains: 4 }, { name: "inner", contains: 6, markup: "25%" }, { name: "each" }]);
+const packPrices = calculatePackPrices(2000n, packs, { markup: "35%", rounding: "charm99" });
+console.log("\nPack prices:", packPrices.levels.map((l) => `${l.name} ${l.priceUnits}${l.capped ? " (capped)" : ""}`).join(", "));
+assert.deepStrictEqual(
+  packPrices.levels.map((l) => [l.units, l.costUnits, l.leftoverUnits, l.priceUnits, l.capped]),
+  [[24, 2000n, 0n, 2699n, true], [6, 500n, 0n, 699n, false], [1, 84n, -16n, 199n, false]]
+);
+assert.deepStrictEqual(packPrices.levels[2].split, [{ packs: 8, costUnits: 84n }, { packs: 16, costUnits: 83n }]);
+// A capped pack keeps its rounder's ending unless that would take it below cost
+const innerFirst = definePackHierarchy([{ name: "case", contains: 4, sellable: false }, { name: "inner", contains: 6, markup: "50%" }, { name: "each", markup: "10%" }]);
+assert.deepStrictEqual(calculatePackPrices(2000n, innerFirst, { rounding: "ceilStep10" }).levels.map((l) => [l.priceUnits, l.capped]), [[null, false], [600n, true], [100n, false]]);
+assert.deepStrictEqual(calculatePackPrices(2400n, innerFirst, { rounding: "charm99" }).levels.map((l) => [l.priceUnits, l.capped]), [[null, false], [1099n, true], [199n, false]]);
+assert.strictEqual(calculatePackPrices(2000n, innerFirst, { rounding: "charm99" }).levels[1].priceUnits, 594n); // 499n is below the 500n cost
+const underCost = definePackHierarchy([{ name: "case", contains: 4, sellable: false }, { name: "inner", contains: 6, markup: "50%" }, { name: "each", markup: 0 }]);
+assert.deepStrictEqual(
+  calculatePackPrices(2000n, underCost, { rounding: "floorStep10" }).levels.map((l) => [l.costUnits, l.priceUnits, l.capped, l.belowCost]),
+  [[2000n, null, false, false], [500n, 480n, true, true], [84n, 80n, false, true]]
+);
+const floored = calculatePackPrices(2000n, packs, { markup: "35%", allocation: "floor" }).levels[2];
+assert.deepStrictEqual([floored.costUnits, floored.leftoverUnits], [83n, 8n]);
+const eachesOnly = calculatePackPrices(2000n, [{ name: "case", contains: 24, sellable: false }, { name: "each", rounding: "ceilStep5" }], { markup: 3000 });
+assert.deepStrictEqual(eachesOnly.levels.map((l) => l.priceUnits), [null, 120n]);
+assert.throws(() => definePackHierarchy([{ name: "case", contains: 0 }, { name: "each" }]), (error) => error.code === "OUT_OF_RANGE" && error.field === "contains");
+assert.throws(() => definePackHierarchy([{ name: "each", contains: 6 }]), /smallest pack and cannot set contains/);
+assert.throws(() => calculatePackPrices(2000n, packs, { markup: "120%" }), /Pack level case: marginBps/);
+
+// CLI: validation errors keep their code and field in --json output
+const cliPath = new URL("../cli.js", import.meta.url).pathname;
+const badCostUnits = spawnSync(process.execPath, [cliPath, "price", "--cost-units", "abc", "--markup", "30%", "--json"], { encoding: "utf8" });
+assert.strictEqual(badCostUnits.status, 2);
+assert.deepStrictEqual(JSON.parse(badCostUnits.stdout).error, {
+  name: "PricingValidationError", code: "INVALID_INPUT", message: "costUnits must be an integer, got: abc", field: "costUnits", value: "abc"
+});
+assert.throws(() => calculatePrice("0x10", 3000), (error) => error.code === "INVALID_INPUT" && error.field === "costUnits");
+
 console.log("\n✅ Quick check tests completed!");